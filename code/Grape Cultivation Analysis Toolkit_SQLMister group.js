@@ -20,32 +20,6 @@
   var UK = ukLevel1.geometry();
   Map.addLayer(UK, {color: 'red', width: 1}, "UK Boundary", false);
   
-  // ---- 2. Function Definitions ----
- 
-  
-  // Clear map layers function
-  function clearMapLayers() {
-    var layersToRemove = [
-      'Analysis Region',
-      'Growing Season Temperature (GST)',
-      'Growing Degree Days (GDD)',
-      'Growing Season Precipitation (GSP)',
-      'Slope',
-      'Suitable Areas Based on Environmental Factors',
-      'Existing Vineyards',
-      'Grape Growing Suitability Probability',
-      'High Suitability Areas (>70%)'
-    ];
-    
-    // Find and remove all matching layers
-    Map.layers().forEach(function(layer) {
-      var name = layer.getName();
-      if (layersToRemove.indexOf(name) !== -1) {
-        Map.remove(layer);
-      }
-    });
-  }
-
   
 
 // ===== 1. Independent Machine Learning Module =====
@@ -60,19 +34,27 @@ var GrapeML = {
    * Calculate Environmental Factors
    * @param {ee.Geometry} region - Analysis region
    * @param {string} year - Analysis year
+   * @param {string|Object} source - Climate source key or object (optional)
    * @return {Object} Object containing various environmental factors
    */
-  computeEnvironmentalFactors: function(region, year) {
+  computeEnvironmentalFactors: function(region, year, source) {
     var results = {};
     
     // GST - Growing Season Temperature
-    results.gst = this.computeGST(year).clip(region);
+    results.gst = this.computeGST(year, source).clip(region);
     
-    // GDD - Growing Degree Days
-    results.gdd = this.computeGDD(year, 10, 30).clip(region);
+    // GDD - Growing Degree Days (monthly sources keep the 30-day approximation)
+    results.gdd = this.computeGDD(year, 10, 30, source).clip(region);
+    
+    // BEDD - Biologically Effective Degree Days
+    results.bedd = this.computeBEDD(year, source).clip(region);
     
     // GSP - Growing Season Precipitation
-    results.gsp = this.computeGSP(year).clip(region);
+    results.gsp = this.computeGSP(year, source).clip(region);
+    
+    // Bioclimatic indices
+    results.huglin = this.computeHuglin(year, source).clip(region);
+    results.winkler = this.computeWinkler(year, source).clip(region);
     
     // Terrain Factors
     var dem = ee.Image('USGS/SRTMGL1_003').clip(region);
@@ -80,26 +62,245 @@ var GrapeML = {
     results.aspect = ee.Terrain.aspect(dem);
     results.elevation = dem.select('elevation');
     
+    // Aspect as northness/eastness (aspect itself is circular) and solar exposure
+    var aspectRadians = results.aspect.multiply(Math.PI / 180);
+    results.northness = aspectRadians.cos().rename('northness');
+    results.eastness = aspectRadians.sin().rename('eastness');
+    results.solarExposure = this.computeSolarExposure(dem);
+    
+    // Frost risk (frost days plus cold-air pooling)
+    results.frost = this.computeFrostRisk(year, dem, source).select('frostRisk');
+    
     // Latitude
     results.latitude = ee.Image.pixelLonLat().select('latitude').clip(region);
     
     return results;
   },
   
+  /**
+   * Climate sources. getTemperature returns one image per time step with
+   * tmax, tmin and tmean bands in °C; getPrecipitation returns one image per
+   * time step with a pr band in mm. Every image carries a 'days' property
+   * (days the image stands for) and a 'weight' property (share of an
+   * ensemble, 1 for single datasets), so sums over a collection give the
+   * ensemble mean.
+   */
+  climateSources: {
+    terraclimate: {
+      label: 'TerraClimate (monthly)',
+      daily: false,
+      /**
+       * @param {string} year - Analysis year
+       * @param {number} daysPerMonth - Fixed days per month (optional, defaults to the true month length)
+       * @return {ee.ImageCollection} Monthly temperature images
+       */
+      getTemperature: function(year, daysPerMonth) {
+        return ee.ImageCollection("IDAHO_EPSCOR/TERRACLIMATE")
+                 .filterDate(year + "-01-01", year + "-12-31")
+                 .select(["tmmx", "tmmn"])
+                 .map(function(img) {
+                   var tmax = img.select("tmmx").divide(10).rename("tmax");
+                   var tmin = img.select("tmmn").divide(10).rename("tmin");
+                   var days = daysPerMonth || GrapeML.daysInMonth(img);
+                   return ee.Image.cat([tmax, tmin, tmax.add(tmin).divide(2).rename("tmean")])
+                            .copyProperties(img, ['system:time_start'])
+                            .set({days: days, weight: 1});
+                 });
+      },
+      /**
+       * @param {string} year - Analysis year
+       * @return {ee.ImageCollection} Monthly precipitation images
+       */
+      getPrecipitation: function(year) {
+        return ee.ImageCollection("IDAHO_EPSCOR/TERRACLIMATE")
+                 .filterDate(year + "-01-01", year + "-12-31")
+                 .select("pr")
+                 .map(function(img) {
+                   return img.set({days: GrapeML.daysInMonth(img), weight: 1});
+                 });
+      }
+    },
+    era5land: {
+      label: 'ERA5-Land (daily)',
+      daily: true,
+      /**
+       * @param {string} year - Analysis year
+       * @return {ee.ImageCollection} Daily temperature images
+       */
+      getTemperature: function(year) {
+        return ee.ImageCollection("ECMWF/ERA5_LAND/DAILY_AGGR")
+                 .filterDate(year + "-01-01", (Number(year) + 1) + "-01-01")
+                 .select(["temperature_2m_max", "temperature_2m_min", "temperature_2m"])
+                 .map(function(img) {
+                   return img.subtract(273.15)
+                             .rename(["tmax", "tmin", "tmean"])
+                             .copyProperties(img, ['system:time_start'])
+                             .set({days: 1, weight: 1});
+                 });
+      },
+      /**
+       * @param {string} year - Analysis year
+       * @return {ee.ImageCollection} Daily precipitation images
+       */
+      getPrecipitation: function(year) {
+        return ee.ImageCollection("ECMWF/ERA5_LAND/DAILY_AGGR")
+                 .filterDate(year + "-01-01", (Number(year) + 1) + "-01-01")
+                 .select("total_precipitation_sum")
+                 .map(function(img) {
+                   return img.multiply(1000)
+                             .rename("pr")
+                             .copyProperties(img, ['system:time_start'])
+                             .set({days: 1, weight: 1});
+                 });
+      }
+    }
+  },
+  
+  // Key of the climate source used when none is passed explicitly
+  climateSource: 'terraclimate',
+  
+  /**
+   * CMIP6 scenarios available from NEX-GDDP-CMIP6
+   */
+  cmip6Scenarios: {
+    ssp245: 'SSP2-4.5',
+    ssp585: 'SSP5-8.5'
+  },
+  
+  // Default CMIP6 model ensemble
+  cmip6Models: ['ACCESS-CM2', 'EC-Earth3', 'MPI-ESM1-2-HR', 'NorESM2-MM', 'UKESM1-0-LL'],
+  
+  /**
+   * Build a downscaled CMIP6 (NEX-GDDP-CMIP6) climate source. Years before
+   * 2015 are read from the historical experiment.
+   * @param {string} scenario - Key of GrapeML.cmip6Scenarios
+   * @param {Array} models - Ensemble members (defaults to GrapeML.cmip6Models)
+   * @return {Object} Climate source
+   */
+  createCMIP6Source: function(scenario, models) {
+    if (!this.cmip6Scenarios.hasOwnProperty(scenario)) {
+      throw new Error('Unknown CMIP6 scenario: ' + scenario);
+    }
+    models = models || this.cmip6Models;
+    if (models.length === 0) {
+      throw new Error('CMIP6 ensemble needs at least one model');
+    }
+    var weight = 1 / models.length;
+    
+    function load(year) {
+      return ee.ImageCollection("NASA/GDDP-CMIP6")
+               .filterDate(year + "-01-01", (Number(year) + 1) + "-01-01")
+               .filter(ee.Filter.eq('scenario', Number(year) >= 2015 ? scenario : 'historical'))
+               .filter(ee.Filter.inList('model', models));
+    }
+    
+    return {
+      label: 'CMIP6 ' + this.cmip6Scenarios[scenario] + ' (' + models.length + (models.length === 1 ? ' model)' : ' models)'),
+      daily: true,
+      projection: true,
+      getTemperature: function(year) {
+        return load(year)
+                 .select(["tasmax", "tasmin", "tas"])
+                 .map(function(img) {
+                   return img.subtract(273.15)
+                             .rename(["tmax", "tmin", "tmean"])
+                             .copyProperties(img, ['system:time_start'])
+                             .set({days: 1, weight: weight});
+                 });
+      },
+      getPrecipitation: function(year) {
+        // kg m-2 s-1 to mm per day
+        return load(year)
+                 .select("pr")
+                 .map(function(img) {
+                   return img.multiply(86400)
+                             .rename("pr")
+                             .copyProperties(img, ['system:time_start'])
+                             .set({days: 1, weight: weight});
+                 });
+      }
+    };
+  },
+  
+  /**
+   * Climate source for observed years: the selected source, or TerraClimate
+   * when the selected source is a model projection
+   * @return {string} Key of GrapeML.climateSources
+   */
+  getObservedClimateSource: function() {
+    return this.getClimateSource().projection ? 'terraclimate' : this.climateSource;
+  },
+  
+  /**
+   * Register a climate source
+   * @param {string} key - Source key
+   * @param {Object} source - Object with label, daily, getTemperature and getPrecipitation
+   *   (and projection: true for climate model projections)
+   * @return {Object} The registered source
+   */
+  registerClimateSource: function(key, source) {
+    if (!source || typeof source.getTemperature !== 'function' || typeof source.getPrecipitation !== 'function') {
+      throw new Error('Climate source ' + key + ' must provide getTemperature and getPrecipitation');
+    }
+    this.climateSources[key] = source;
+    return source;
+  },
+  
+  /**
+   * Resolve a climate source
+   * @param {string|Object} source - Key of GrapeML.climateSources or a source object (defaults to GrapeML.climateSource)
+   * @return {Object} Climate source
+   */
+  getClimateSource: function(source) {
+    if (source && typeof source === 'object') {
+      return source;
+    }
+    source = source || this.climateSource;
+    if (!this.climateSources.hasOwnProperty(source)) {
+      throw new Error('Unknown climate source: ' + source);
+    }
+    return this.climateSources[source];
+  },
+  
+  /**
+   * Set the climate source used by default
+   * @param {string} source - Key of GrapeML.climateSources
+   */
+  setClimateSource: function(source) {
+    this.getClimateSource(source);
+    this.climateSource = source;
+  },
+  
+  /**
+   * Load temperature time steps for a year
+   * @param {string} year - Analysis year
+   * @param {string|Object} source - Climate source key or object (optional)
+   * @param {number} daysPerMonth - Fixed days per month for monthly sources (optional)
+   * @return {ee.ImageCollection} Images with tmax, tmin and tmean bands (°C) and days/weight properties
+   */
+  getTemperature: function(year, source, daysPerMonth) {
+    return ee.ImageCollection(this.getClimateSource(source).getTemperature(year, daysPerMonth));
+  },
+  
+  /**
+   * Load precipitation time steps for a year
+   * @param {string} year - Analysis year
+   * @param {string|Object} source - Climate source key or object (optional)
+   * @return {ee.ImageCollection} Images with a pr band (mm) and days/weight properties
+   */
+  getPrecipitation: function(year, source) {
+    return ee.ImageCollection(this.getClimateSource(source).getPrecipitation(year));
+  },
+  
   /**
    * Calculate Growing Season Temperature (GST)
    * @param {string} year - Analysis year
+   * @param {string|Object} source - Climate source key or object (optional)
    * @return {ee.Image} GST image
    */
-  computeGST: function(year) {
-    var tc = ee.ImageCollection("IDAHO_EPSCOR/TERRACLIMATE")
-               .filterDate(year + "-01-01", year + "-12-31")
-               .filter(ee.Filter.calendarRange(4, 10, 'month'))
-               .map(function(img) {
-                 var tmx = img.select("tmmx").divide(10);
-                 var tmn = img.select("tmmn").divide(10);
-                 return img.addBands(tmx.add(tmn).divide(2).rename("tmean"));
-               });
+  computeGST: function(year, source) {
+    var tc = this.getTemperature(year, source)
+               .filter(ee.Filter.calendarRange(4, 10, 'month'));
     return tc.select("tmean").mean().rename("GST");
   },
   
@@ -107,319 +308,3483 @@ var GrapeML = {
    * Calculate Growing Degree Days (GDD)
    * @param {string} year - Analysis year
    * @param {number} baseTemp - Base temperature
-   * @param {number} daysPerMonth - Number of days per month
+   * @param {number} daysPerMonth - Number of days per month (monthly sources only)
+   * @param {string|Object} source - Climate source key or object (optional)
    * @return {ee.Image} GDD image
    */
-  computeGDD: function(year, baseTemp, daysPerMonth) {
-    var tc = ee.ImageCollection("IDAHO_EPSCOR/TERRACLIMATE")
-               .filterDate(year + "-01-01", year + "-12-31")
+  computeGDD: function(year, baseTemp, daysPerMonth, source) {
+    var tc = this.getTemperature(year, source, daysPerMonth)
                .filter(ee.Filter.calendarRange(4, 10, 'month'))
-               .select(["tmmx", "tmmn"])
                .map(function(img) {
-                 var tmean = img.select("tmmx").divide(10)
-                                .add(img.select("tmmn").divide(10))
-                                .divide(2);
-                 return tmean.subtract(baseTemp).max(0)
-                             .multiply(daysPerMonth)
-                             .rename("GDD")
-                             .copyProperties(img, img.propertyNames());
+                 return img.select("tmean").subtract(baseTemp).max(0)
+                           .multiply(ee.Number(img.get('days')).multiply(img.get('weight')))
+                           .rename("GDD")
+                           .copyProperties(img, img.propertyNames());
                });
     return tc.sum().rename("GDD");
   },
   
+  /**
+   * Calculate Biologically Effective Degree Days (BEDD), April to October,
+   * with mean temperature capped at 19 °C
+   * @param {string} year - Analysis year
+   * @param {string|Object} source - Climate source key or object (optional)
+   * @return {ee.Image} BEDD image
+   */
+  computeBEDD: function(year, source) {
+    var tc = this.getTemperature(year, source)
+               .filter(ee.Filter.calendarRange(4, 10, 'month'))
+               .map(function(img) {
+                 return img.select("tmean").min(19).subtract(10).max(0)
+                           .multiply(ee.Number(img.get('days')).multiply(img.get('weight')))
+                           .rename("BEDD")
+                           .copyProperties(img, img.propertyNames());
+               });
+    return tc.sum().rename("BEDD");
+  },
+  
   /**
    * Calculate Growing Season Precipitation (GSP)
    * @param {string} year - Analysis year
+   * @param {string|Object} source - Climate source key or object (optional)
    * @return {ee.Image} GSP image
    */
-  computeGSP: function(year) {
-    var gsp = ee.ImageCollection("IDAHO_EPSCOR/TERRACLIMATE")
-               .filterDate(year + "-01-01", year + "-12-31")
+  computeGSP: function(year, source) {
+    var gsp = this.getPrecipitation(year, source)
                .filter(ee.Filter.calendarRange(4, 10, 'month'))
-               .select("pr")
+               .map(function(img) {
+                 return img.multiply(ee.Number(img.get('weight')))
+                           .copyProperties(img, img.propertyNames());
+               })
                .sum()
                .rename("GSP");
     return gsp;
   },
   
   /**
-   * Generate Environmental Suitability Mask
-   * @param {Object} factors - Environmental factors object
-   * @return {ee.Image} Environmental suitability mask
+   * Number of days in the month of a monthly image
+   * @param {ee.Image} img - Monthly image with a system:time_start property
+   * @return {ee.Number} Days in the month
    */
-  computeSuitabilityMask: function(factors) {
-    var gstMask = factors.gst.gte(14.0).and(factors.gst.lte(16.0));
-    var gddMask = factors.gdd.gte(950).and(factors.gdd.lte(1250));
-    var gspMask = factors.gsp.gte(250).and(factors.gsp.lte(600));
-    var slopeMask = factors.slope.gte(2).and(factors.slope.lte(15));
-    var elevationMask = factors.elevation.gte(5).and(factors.elevation.lte(250));
-    
-    return gstMask
-      .and(gddMask)
-      .and(gspMask)
-      .and(slopeMask)
-      .and(elevationMask);
+  daysInMonth: function(img) {
+    var start = ee.Date(img.get('system:time_start'));
+    return start.advance(1, 'month').difference(start, 'day');
   },
   
-/**
- * Run Machine Learning Prediction
- * @param {Object} factors - Environmental factors object
- * @param {ee.Image} suitabilityMask - Environmental suitability mask
- * @param {ee.Geometry} region - Analysis region
- * @param {ee.FeatureCollection} vineyards - Vineyard data
- * @return {Object} Machine learning results object
- */
-runMachineLearning: function(factors, suitabilityMask, region, vineyards) {
-  try {
-    // Build feature image
-    var featureImage = ee.Image.cat([
-      factors.gst.rename('GST'),
-      factors.gdd.rename('GDD'),
-      factors.gsp.rename('GSP'),
-      factors.slope.rename('slope'),
-      factors.aspect.rename('aspect'),
-      factors.elevation.rename('elevation'),
-      factors.latitude.rename('latitude')
-    ]).clip(region);
+  /**
+   * Calculate Huglin Heliothermal Index (HI), April to September
+   * @param {string} year - Analysis year
+   * @param {string|Object} source - Climate source key or object (optional)
+   * @return {ee.Image} Huglin index image
+   */
+  computeHuglin: function(year, source) {
+    var tc = this.getTemperature(year, source)
+               .filter(ee.Filter.calendarRange(4, 9, 'month'))
+               .map(function(img) {
+                 var tmax = img.select("tmax");
+                 var tmean = img.select("tmean");
+                 return tmean.subtract(10).add(tmax.subtract(10)).divide(2).max(0)
+                             .multiply(ee.Number(img.get('days')).multiply(img.get('weight')))
+                             .rename("Huglin")
+                             .copyProperties(img, img.propertyNames());
+               });
     
-    // Clip to analysis region
-    var regionalVineyards = vineyards.filterBounds(region);
+    // Day-length coefficient: 1.02 at 40° rising to 1.06 at 50° and above
+    var dayLength = ee.Image.pixelLonLat().select('latitude').abs()
+                      .subtract(40).multiply(0.004).add(1.02)
+                      .clamp(1.0, 1.06);
     
-    // Check if there are enough vineyard data
-    var vineyardCount = regionalVineyards.size().getInfo();
-    print("Number of vineyards in the region:", vineyardCount);
+    return tc.sum().multiply(dayLength).rename("Huglin");
+  },
+  
+  /**
+   * Calculate Winkler Index (growing degree days above 10 °C, April to October,
+   * using true month lengths for monthly sources)
+   * @param {string} year - Analysis year
+   * @param {string|Object} source - Climate source key or object (optional)
+   * @return {ee.Image} Winkler index image
+   */
+  computeWinkler: function(year, source) {
+    return this.computeGDD(year, 10, null, source).rename("Winkler");
+  },
+  
+  // Minimum temperature (°C) below which a day counts as a frost day
+  frostThreshold: 0,
+  
+  // Standard deviation (°C) of daily minimum temperature around the monthly
+  // mean minimum. Monthly sources estimate frost days as the days of the month
+  // times the chance a normally distributed daily minimum falls below
+  // frostThreshold; about 3 °C matches the day-to-day spread of UK spring and
+  // autumn minima, so an April with a 3 °C mean minimum has about 5 frost days
+  frostDailySpread: 3,
+  
+  // Frost days a cold-air pooling hollow adds to the frost risk index
+  coldAirPoolingFrostDays: 5,
+  
+  /**
+   * Calculate solar exposure from a hillshade lit from the south
+   * @param {ee.Image} dem - SRTM elevation image
+   * @return {ee.Image} Solar exposure index (0-1)
+   */
+  computeSolarExposure: function(dem) {
+    // Sun due south at a typical growing-season elevation for southern England
+    return ee.Terrain.hillshade(dem, 180, 45).divide(255).rename('solarExposure');
+  },
+  
+  /**
+   * Detect cold-air pooling hollows from the DEM
+   * @param {ee.Image} dem - SRTM elevation image
+   * @return {ee.Image} 1 where cold air is likely to pool, 0 elsewhere
+   */
+  computeColdAirPooling: function(dem) {
+    var elevation = dem.select('elevation');
     
-    if (vineyardCount < 5) {
-      return {
-        success: false,
-        error: 'Insufficient vineyard data in the selected region for machine learning prediction',
-        suitabilityMask: suitabilityMask // Return basic suitability mask as alternative result
-      };
-    }
+    // Topographic position: negative where a pixel sits below its surroundings
+    var tpi = elevation.subtract(elevation.focal_mean({radius: 500, units: 'meters'}));
+    var slope = ee.Terrain.slope(dem);
     
-    // Generate positive sample points
-    var positivePointCount = Math.min(vineyardCount * 10, 200);
-    print("Number of positive sample points:", positivePointCount);
+    return tpi.lt(-5).and(slope.lt(3)).rename('coldAirPooling');
+  },
+  
+  /**
+   * Calculate Spring and Autumn Frost Risk. Frost counts are days: counted
+   * for daily temperature sources and estimated from the monthly mean minimum
+   * (see frostDailySpread) for monthly sources.
+   * @param {string} year - Analysis year
+   * @param {ee.Image} dem - SRTM elevation image (optional)
+   * @param {string|Object} source - Climate source key or object (optional)
+   * @return {ee.Image} Frost risk index (frostRisk, in frost days for every source) with springFrost,
+   *   autumnFrost and coldAirPooling bands
+   */
+  computeFrostRisk: function(year, dem, source) {
+    var threshold = this.frostThreshold;
+    var spread = this.frostDailySpread;
+    var daily = this.getClimateSource(source).daily;
+    dem = dem || ee.Image('USGS/SRTMGL1_003');
     
-    var positivePoints = ee.FeatureCollection.randomPoints({
-      region: regionalVineyards.geometry(),
-      points: positivePointCount,
-      seed: 123
-    }).map(function(feature) {
-      return feature.set('class', 1);
-    });
+    var frostSteps = this.getTemperature(year, source)
+               .map(function(img) {
+                 var tmin = img.select("tmin");
+                 // Daily steps count a frost day; monthly steps expect
+                 // days * P(daily tmin < threshold) = days * Phi((threshold - tmin) / spread)
+                 var frostDays = daily ? tmin.lt(threshold) :
+                   ee.Image(threshold).subtract(tmin).divide(spread * Math.SQRT2).erf()
+                     .add(1).multiply(0.5).multiply(ee.Number(img.get('days')));
+                 return frostDays.multiply(ee.Number(img.get('weight')))
+                           .rename("frost")
+                           .copyProperties(img, img.propertyNames());
+               });
     
-    // Check if positive sample points were successfully generated
-    var actualPositiveCount = positivePoints.size().getInfo();
-    print("Actual number of positive sample points generated:", actualPositiveCount);
+    // Budburst (April-May) and pre-harvest (October) frost counts
+    var springFrost = frostSteps.filter(ee.Filter.calendarRange(4, 5, 'month')).sum().rename('springFrost');
+    var autumnFrost = frostSteps.filter(ee.Filter.calendarRange(10, 10, 'month')).sum().rename('autumnFrost');
+    var coldAirPooling = this.computeColdAirPooling(dem);
     
-    if (actualPositiveCount < 5) {
-      return {
-        success: false,
-        error: 'Unable to generate sufficient positive sample points',
-        suitabilityMask: suitabilityMask
-      };
+    var frostRisk = springFrost.add(autumnFrost)
+                               .add(coldAirPooling.multiply(this.coldAirPoolingFrostDays))
+                               .rename('frostRisk');
+    return ee.Image.cat([frostRisk, springFrost, autumnFrost, coldAirPooling]);
+  },
+  
+  /**
+   * Frost risk classes, by frost risk index (April-May and October frost days,
+   * plus coldAirPoolingFrostDays in hollows)
+   */
+  frostRiskClasses: [
+    {label: 'No frost risk', min: 0, max: 1, color: '#FFFFFF'},
+    {label: 'Low', min: 1, max: 5, color: '#C6DBEF'},
+    {label: 'Moderate', min: 5, max: 10, color: '#6BAED6'},
+    {label: 'High', min: 10, color: '#08519C'}
+  ],
+  
+  /**
+   * Winkler regions (Jones et al. 2010), by Winkler Index in °C degree days
+   */
+  winklerClasses: [
+    {label: 'Too cool', min: 0, max: 850, color: '#313695'},
+    {label: 'Region Ia', min: 850, max: 1111, color: '#4575B4'},
+    {label: 'Region Ib', min: 1111, max: 1389, color: '#74ADD1'},
+    {label: 'Region II', min: 1389, max: 1667, color: '#ABD9E9'},
+    {label: 'Region III', min: 1667, max: 1944, color: '#FEE090'},
+    {label: 'Region IV', min: 1944, max: 2222, color: '#FDAE61'},
+    {label: 'Region V', min: 2222, color: '#D73027'}
+  ],
+  
+  /**
+   * Huglin classes (Tonietto & Carbonneau 2004), by Huglin Index
+   */
+  huglinClasses: [
+    {label: 'Very cool', min: 0, max: 1500, color: '#2C7BB6'},
+    {label: 'Cool', min: 1500, max: 1800, color: '#ABD9E9'},
+    {label: 'Temperate', min: 1800, max: 2100, color: '#FFFFBF'},
+    {label: 'Warm temperate', min: 2100, max: 2400, color: '#FDAE61'},
+    {label: 'Warm', min: 2400, max: 3000, color: '#F46D43'},
+    {label: 'Very warm', min: 3000, color: '#D7191C'}
+  ],
+  
+  /**
+   * Classify an index image into class numbers (0 = first class)
+   * @param {ee.Image} image - Index image
+   * @param {Array} classes - Class definitions ordered by ascending min
+   * @return {ee.Image} Class image
+   */
+  classifyIndex: function(image, classes) {
+    var classified = ee.Image(0);
+    classes.slice(1).forEach(function(cls) {
+      classified = classified.add(image.gte(cls.min));
+    });
+    return classified.updateMask(image.mask()).rename('class');
+  },
+  
+  /**
+   * Visualisation parameters for a classified index image
+   * @param {Array} classes - Class definitions
+   * @return {Object} Visualisation parameters
+   */
+  getClassVisParams: function(classes) {
+    return {
+      min: 0,
+      max: classes.length - 1,
+      palette: classes.map(function(cls) { return cls.color; })
+    };
+  },
+  
+  /**
+   * Format a class definition for a legend
+   * @param {Object} cls - Class definition
+   * @return {string} Legend label, e.g. "Region Ia (850 - 1111)"
+   */
+  formatClassLabel: function(cls) {
+    var range;
+    if (cls.max === undefined) {
+      range = '≥ ' + cls.min;
+    } else if (cls.max === cls.min) {
+      range = String(cls.min);
+    } else {
+      range = cls.min + ' - ' + cls.max;
     }
-    
-    // Generate negative sample points
-    var nonSuitableArea = suitabilityMask.not();
-    var negativePoints = ee.FeatureCollection.randomPoints({
-      region: region,
-      points: 400,
-      seed: 456
-    }).filter(ee.Filter.bounds(nonSuitableArea.selfMask().geometry()))
-      .map(function(feature) {
-        return feature.set('class', 0);
-      });
-    
-    // Check if negative sample points were successfully generated
-    var actualNegativeCount = negativePoints.size().getInfo();
-    print("Actual number of negative sample points generated:", actualNegativeCount);
-    
-    if (actualNegativeCount < 5) {
-      return {
-        success: false,
-        error: 'Unable to generate sufficient negative sample points',
-        suitabilityMask: suitabilityMask
-      };
+    return cls.label + ' (' + range + ')';
+  },
+  
+  /**
+   * Land-cover products used to exclude land that cannot be planted. load
+   * returns a single-band class image; defaultExcluded lists the class values
+   * excluded unless GrapeML.setLandCoverExclusion says otherwise, and
+   * backgroundClasses the farmland used for target-group background samples.
+   */
+  landCoverProducts: {
+    worldcover: {
+      label: 'ESA WorldCover 10m (2021)',
+      load: function() {
+        return ee.ImageCollection('ESA/WorldCover/v200').first().select('Map');
+      },
+      classes: {
+        10: 'Tree cover',
+        20: 'Shrubland',
+        30: 'Grassland',
+        40: 'Cropland',
+        50: 'Built-up',
+        60: 'Bare / sparse vegetation',
+        70: 'Snow and ice',
+        80: 'Permanent water bodies',
+        90: 'Herbaceous wetland',
+        95: 'Mangroves',
+        100: 'Moss and lichen'
+      },
+      defaultExcluded: [10, 50, 70, 80, 90, 95],
+      backgroundClasses: [30, 40]
+    },
+    ukceh_lcm: {
+      label: 'UKCEH Land Cover Map 10m',
+      // Not in the public catalogue: set to the uploaded LCM classified image
+      asset: null,
+      load: function() {
+        if (!this.asset) {
+          throw new Error('Set GrapeML.landCoverProducts.ukceh_lcm.asset to the UKCEH Land Cover Map asset');
+        }
+        return ee.Image(this.asset).select(0);
+      },
+      classes: {
+        1: 'Deciduous woodland',
+        2: 'Coniferous woodland',
+        3: 'Arable',
+        4: 'Improved grassland',
+        5: 'Neutral grassland',
+        6: 'Calcareous grassland',
+        7: 'Acid grassland',
+        8: 'Fen',
+        9: 'Heather',
+        10: 'Heather grassland',
+        11: 'Bog',
+        12: 'Inland rock',
+        13: 'Saltwater',
+        14: 'Freshwater',
+        15: 'Supralittoral rock',
+        16: 'Supralittoral sediment',
+        17: 'Littoral rock',
+        18: 'Littoral sediment',
+        19: 'Saltmarsh',
+        20: 'Urban',
+        21: 'Suburban'
+      },
+      defaultExcluded: [1, 2, 8, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21],
+      backgroundClasses: [3, 4]
     }
-    
-    // Merge all samples
-    var allPoints = positivePoints.merge(negativePoints);
-    
-    // Extract feature values
-    var sampledPoints = featureImage.sampleRegions({
-      collection: allPoints,
-      properties: ['class'],
-      scale: 100,
-      tileScale: 16  // Increase tileScale to handle large areas
-    });
-    
-    // Check if feature extraction was successful
-    var sampleCount = sampledPoints.size().getInfo();
-    print("Number of sample points with successfully extracted features:", sampleCount);
-    
-    if (sampleCount < 10) {
-      return {
-        success: false,
-        error: 'Feature extraction failed, insufficient sample points',
-        suitabilityMask: suitabilityMask
-      };
+  },
+  
+  // Land-cover exclusion settings (excludedClasses null means the product defaults)
+  landCoverExclusion: {
+    product: 'worldcover',
+    excludedClasses: null,
+    excludeProtected: true
+  },
+  
+  /**
+   * Resolve a land-cover product
+   * @param {string} product - Key of GrapeML.landCoverProducts (defaults to the configured product)
+   * @return {Object} Land-cover product
+   */
+  getLandCoverProduct: function(product) {
+    product = product || this.landCoverExclusion.product;
+    if (!this.landCoverProducts.hasOwnProperty(product)) {
+      throw new Error('Unknown land-cover product: ' + product);
     }
-    
-    // Split into training and testing sets
-    sampledPoints = sampledPoints.randomColumn();
-    var training = sampledPoints.filter(ee.Filter.lt('random', 0.7));
-    var testing = sampledPoints.filter(ee.Filter.gte('random', 0.7));
-    
-    // Check training and testing sets
-    var trainingCount = training.size().getInfo();
-    var testingCount = testing.size().getInfo();
-    print("Training set size:", trainingCount);
-    print("Testing set size:", testingCount);
-    
-    if (trainingCount < 5 || testingCount < 5) {
-      return {
-        success: false,
-        error: 'Insufficient training or testing set size',
-        suitabilityMask: suitabilityMask
-      };
+    return this.landCoverProducts[product];
+  },
+  
+  /**
+   * Configure the land-cover exclusion step
+   * @param {Object} settings - product, excludedClasses and/or excludeProtected to change
+   */
+  setLandCoverExclusion: function(settings) {
+    this.landCoverExclusion = this.mergeLandCoverExclusion(this.landCoverExclusion, settings);
+  },
+  
+  /**
+   * Validate a change to land-cover exclusion settings
+   * @param {Object} current - Current settings, shaped like GrapeML.landCoverExclusion
+   * @param {Object} settings - Any of product, excludedClasses and excludeProtected
+   * @return {Object} New settings; current is left unchanged
+   */
+  mergeLandCoverExclusion: function(current, settings) {
+    var product = this.getLandCoverProduct(settings.product || current.product);
+    var classes = settings.excludedClasses;
+    if (classes) {
+      classes.forEach(function(value) {
+        if (!product.classes.hasOwnProperty(value)) {
+          throw new Error('Unknown class ' + value + ' for land-cover product ' + product.label);
+        }
+      });
     }
     
-    // Train the model
-    var features = ['GST', 'GDD', 'GSP', 'slope', 'aspect', 'elevation', 'latitude'];
-    var classifier = ee.Classifier.smileRandomForest({
-      numberOfTrees: 50,
-      variablesPerSplit: 2,
-      seed: 42
-    }).train({
-      features: training,
-      classProperty: 'class',
-      inputProperties: features
+    var merged = {
+      product: current.product,
+      excludedClasses: current.excludedClasses,
+      excludeProtected: current.excludeProtected
+    };
+    // Class lists belong to one product, so switching product resets them
+    if (settings.product && settings.product !== current.product) {
+      merged.excludedClasses = null;
+    }
+    Object.keys(settings).forEach(function(key) {
+      merged[key] = settings[key];
     });
+    return merged;
+  },
+  
+  /**
+   * Class values currently excluded
+   * @return {Array} Land-cover class values
+   */
+  getExcludedClasses: function() {
+    return this.landCoverExclusion.excludedClasses ||
+           this.getLandCoverProduct().defaultExcluded;
+  },
+  
+  /**
+   * Calculate land excluded from planting by land cover and protected areas
+   * @param {ee.Geometry} region - Analysis region
+   * @return {ee.Image} 1 where land is excluded, 0 elsewhere (band 'excluded')
+   */
+  computeLandCoverExclusion: function(region) {
+    var settings = this.landCoverExclusion;
+    var classes = this.getExcludedClasses();
+    var landCover = this.getLandCoverProduct().load();
     
-    // Evaluate the model
-    var validation = testing.classify(classifier);
+    var excluded = landCover.remap(classes, classes.map(function() { return 1; }), 0);
     
-    // Create a more robust error handling mechanism to calculate accuracy
-    var accuracy;
-    try {
-      var errorMatrix = validation.errorMatrix('class', 'classification');
-      accuracy = errorMatrix.accuracy();
-      
-      // Get detailed information from the confusion matrix
-      var confMatrix = errorMatrix.array().getInfo();
-      print("Confusion Matrix:", confMatrix);
-      
-      // Check if the accuracy is a valid number
-      if (isNaN(accuracy.getInfo())) {
-        print("Warning: Calculated accuracy is NaN, using alternative method to calculate");
-        // Try to manually calculate accuracy
-        var correct = validation.filter(ee.Filter.eq('class', 'classification')).size();
-        var total = validation.size();
-        accuracy = ee.Number(correct).divide(total);
-      }
-    } catch (error) {
-      print("Error calculating accuracy:", error);
-      accuracy = ee.Number(0);  // Set default value
+    // Designated sites (national parks, SSSIs, nature reserves) from the WDPA
+    if (settings.excludeProtected) {
+      var protectedAreas = ee.FeatureCollection('WCMC/WDPA/current/polygons')
+                             .filter(ee.Filter.eq('ISO3', 'GBR'))
+                             .filterBounds(region);
+      excluded = excluded.or(ee.Image(0).paint(protectedAreas, 1));
     }
     
-    // Predict
-    var probabilityClassifier = classifier.setOutputMode('PROBABILITY');
-    var suitabilityScore = featureImage.classify(probabilityClassifier)
-                         .select('classification')
-                         .reproject({crs: 'EPSG:4326', scale: 250});
-    
-    // High suitability areas (probability > 0.7)
-    var highSuitabilityAreas = suitabilityScore.gt(0.7);
-    
-    // Calculate high suitability area size
-    var areaCalculation = highSuitabilityAreas.multiply(ee.Image.pixelArea())
-                        .reduceRegion({
-                          reducer: ee.Reducer.sum(),
-                          geometry: region,
-                          scale: 250,
-                          maxPixels: 1e9
-                        });
-    
-    // Get feature importance
-    var importance = classifier.explain();
-    
-    return {
-      success: true,
-      suitabilityScore: suitabilityScore,
-      highSuitabilityAreas: highSuitabilityAreas,
-      area: areaCalculation,
-      accuracy: accuracy,
-      importance: importance,
-      featureImage: featureImage,
-      classifier: classifier,
-      sampledPoints: sampledPoints,  // Return sample points for debugging
-      positiveCount: actualPositiveCount,
-      negativeCount: actualNegativeCount
-    };
-    
-  } catch (error) {
+    return excluded.rename('excluded').clip(region);
+  },
+  
+  /**
+   * Remove excluded land from a suitability mask or score
+   * @param {ee.Image} image - Suitability mask or score
+   * @param {ee.Geometry} region - Analysis region
+   * @return {ee.Image} Image with excluded land set to 0
+   */
+  applyLandCoverExclusion: function(image, region) {
+    return image.where(this.computeLandCoverExclusion(region), 0);
+  },
+  
+  /**
+   * Suitability criteria checked by computeSuitabilityMask, in display order.
+   * Each key matches a band in the environmental factors object; tolerance is
+   * the default width of the fuzzy transition zone outside the min/max range.
+   * Optional criteria are only applied when a profile gives them a range.
+   * exclusiveMax leaves the max itself out of the range, for criteria whose
+   * ranges end where the next class of their map layer begins.
+   */
+  criteria: [
+    {key: 'gst', label: 'Growing Season Temperature (GST)', unit: '°C', decimals: 1, tolerance: 1.0},
+    {key: 'gdd', label: 'Growing Degree Days (GDD)', unit: 'GDD', decimals: 0, tolerance: 150},
+    {key: 'gsp', label: 'Growing Season Precipitation (GSP)', unit: 'mm', decimals: 0, tolerance: 100},
+    {key: 'slope', label: 'Slope', unit: 'degrees', decimals: 0, tolerance: 3},
+    {key: 'elevation', label: 'Elevation', unit: 'meters', decimals: 0, tolerance: 50},
+    {key: 'huglin', label: 'Huglin Index (HI)', unit: 'HI', decimals: 0, tolerance: 150, optional: true},
+    {key: 'winkler', label: 'Winkler Index (WI)', unit: '°C days', decimals: 0, tolerance: 150, optional: true},
+    {key: 'bedd', label: 'Biologically Effective Degree Days (BEDD)', unit: '°C days', decimals: 0, tolerance: 100, optional: true},
+    {key: 'frost', label: 'Frost Risk Index', unit: 'frost days', decimals: 0, tolerance: 2, optional: true, exclusiveMax: true},
+    {key: 'aspect', label: 'Aspect', unit: 'degrees', decimals: 0, tolerance: 45, optional: true, circular: true}
+  ],
+
+  // Aspect rule favouring SE to SW facing slopes steeper than 2°
+  southFacingRange: {min: 135, max: 225, minSlope: 2},
+
+  // Frost risk range (No frost risk and Low classes, below 5 frost days) that
+  // keeps a pixel when frost is used as an exclusion criterion
+  frostExclusionRange: {min: 0, max: 5},
+
+  /**
+   * Score bands used to summarise a continuous suitability score
+   */
+  scoreBands: [
+    {label: 'Unsuitable', min: 0, max: 0.25, color: '#D7191C'},
+    {label: 'Marginal', min: 0.25, max: 0.5, color: '#FDAE61'},
+    {label: 'Moderate', min: 0.5, max: 0.75, color: '#A6D96A'},
+    {label: 'High', min: 0.75, max: 1, color: '#1A9641'}
+  ],
+
+  /**
+   * Built-in threshold profiles (min/max pair per criterion)
+   */
+  thresholdProfiles: {
+    'Default': {
+      description: 'General envelope for cool-climate viticulture in southern England',
+      gst: {min: 14.0, max: 16.0},
+      gdd: {min: 950, max: 1250},
+      gsp: {min: 250, max: 600},
+      slope: {min: 2, max: 15},
+      elevation: {min: 5, max: 250}
+    },
+    'Relaxed': {
+      description: 'Wider envelope for marginal sites and cooler years',
+      gst: {min: 13.0, max: 17.0},
+      gdd: {min: 850, max: 1400},
+      gsp: {min: 200, max: 700},
+      slope: {min: 0, max: 20},
+      elevation: {min: 0, max: 300}
+    },
+    'Strict': {
+      description: 'Narrow envelope for premium sparkling wine sites',
+      gst: {min: 14.5, max: 16.0},
+      gdd: {min: 1000, max: 1250},
+      gsp: {min: 250, max: 500},
+      slope: {min: 3, max: 10},
+      elevation: {min: 10, max: 150}
+    },
+    'Bioclimatic': {
+      description: 'Default envelope plus Huglin (cool to temperate) and Winkler (Ia to Ib) criteria',
+      gst: {min: 14.0, max: 16.0},
+      gdd: {min: 950, max: 1250},
+      gsp: {min: 250, max: 600},
+      slope: {min: 2, max: 15},
+      elevation: {min: 5, max: 250},
+      huglin: {min: 1200, max: 1800},
+      winkler: {min: 850, max: 1389}
+    },
+    'Frost Excluded': {
+      description: 'Default envelope with spring/autumn frost and cold-air pooling sites excluded',
+      gst: {min: 14.0, max: 16.0},
+      gdd: {min: 950, max: 1250},
+      gsp: {min: 250, max: 600},
+      slope: {min: 2, max: 15},
+      elevation: {min: 5, max: 250},
+      frost: {min: 0, max: 5}
+    },
+    'South Facing': {
+      description: 'Default envelope restricted to SE to SW facing slopes where the slope exceeds 2°',
+      gst: {min: 14.0, max: 16.0},
+      gdd: {min: 950, max: 1250},
+      gsp: {min: 250, max: 600},
+      slope: {min: 2, max: 15},
+      elevation: {min: 5, max: 250},
+      aspect: {min: 135, max: 225, minSlope: 2}
+    }
+  },
+
+  // Name of the profile used when no profile is passed explicitly
+  activeProfile: 'Default',
+
+  /**
+   * Grape variety registry. Each variety is a threshold profile describing
+   * the climate and terrain envelope of the cultivar.
+   */
+  varieties: {
+    'Pinot Noir': {
+      description: 'Main red sparkling and still wine variety; needs warm, sheltered sites',
+      gst: {min: 14.0, max: 16.0},
+      gdd: {min: 1000, max: 1300},
+      gsp: {min: 250, max: 550},
+      slope: {min: 2, max: 15},
+      elevation: {min: 5, max: 200}
+    },
+    'Chardonnay': {
+      description: 'Sparkling wine base variety; tolerates a broad temperature range',
+      gst: {min: 14.0, max: 17.0},
+      gdd: {min: 950, max: 1350},
+      gsp: {min: 250, max: 600},
+      slope: {min: 2, max: 15},
+      elevation: {min: 5, max: 200}
+    },
+    'Pinot Meunier': {
+      description: 'Late budburst sparkling variety, less exposed to spring frost',
+      gst: {min: 13.5, max: 15.5},
+      gdd: {min: 900, max: 1200},
+      gsp: {min: 250, max: 600},
+      slope: {min: 2, max: 15},
+      elevation: {min: 5, max: 250}
+    },
+    'Bacchus': {
+      description: 'Aromatic white variety that ripens in cool seasons',
+      gst: {min: 13.0, max: 15.0},
+      gdd: {min: 850, max: 1150},
+      gsp: {min: 250, max: 650},
+      slope: {min: 1, max: 15},
+      elevation: {min: 5, max: 250}
+    },
+    'Seyval Blanc': {
+      description: 'Hardy hybrid variety suited to the coolest sites',
+      gst: {min: 12.5, max: 15.0},
+      gdd: {min: 800, max: 1100},
+      gsp: {min: 250, max: 700},
+      slope: {min: 0, max: 15},
+      elevation: {min: 5, max: 300}
+    }
+  },
+
+  /**
+   * Validate a threshold profile
+   * @param {Object} profile - Threshold profile object
+   * @return {Object} The validated profile
+   */
+  validateThresholdProfile: function(profile) {
+    if (!profile || typeof profile !== 'object') {
+      throw new Error('Threshold profile must be an object');
+    }
+
+    this.criteria.forEach(function(criterion) {
+      var range = profile[criterion.key];
+      if (!range && criterion.optional) return;
+      if (!range) {
+        throw new Error('Threshold profile is missing a range for ' + criterion.label);
+      }
+      if (typeof range.min !== 'number' || typeof range.max !== 'number' ||
+          isNaN(range.min) || isNaN(range.max)) {
+        throw new Error('Min and max for ' + criterion.label + ' must be numbers');
+      }
+      if (criterion.circular) {
+        // Circular ranges may wrap through north (min > max)
+        if (range.min < 0 || range.min > 360 || range.max < 0 || range.max > 360) {
+          throw new Error('Min and max for ' + criterion.label + ' must be between 0 and 360 degrees');
+        }
+      } else if (range.min > range.max) {
+        throw new Error('Min (' + range.min + ') is greater than max (' + range.max + ') for ' + criterion.label);
+      }
+      if (range.minSlope !== undefined && !(range.minSlope >= 0)) {
+        throw new Error('Minimum slope for ' + criterion.label + ' must be a non-negative number');
+      }
+      if (range.tolerance !== undefined && !(range.tolerance >= 0)) {
+        throw new Error('Tolerance for ' + criterion.label + ' must be a non-negative number');
+      }
+    });
+
+    return profile;
+  },
+
+  /**
+   * Resolve a threshold profile
+   * @param {string|Object} profile - Profile or variety name, or profile object (defaults to the active profile)
+   * @return {Object} Validated threshold profile
+   */
+  getThresholdProfile: function(profile) {
+    if (profile === undefined || profile === null) {
+      profile = this.activeProfile;
+    }
+
+    if (typeof profile === 'string') {
+      if (this.thresholdProfiles.hasOwnProperty(profile)) {
+        profile = this.thresholdProfiles[profile];
+      } else if (this.varieties.hasOwnProperty(profile)) {
+        profile = this.varieties[profile];
+      } else {
+        throw new Error('Unknown threshold profile or variety: ' + profile);
+      }
+    }
+
+    return this.validateThresholdProfile(profile);
+  },
+
+  /**
+   * Register a named threshold profile
+   * @param {string} name - Profile name
+   * @param {Object} profile - Threshold profile object
+   * @return {Object} The registered profile
+   */
+  registerThresholdProfile: function(name, profile) {
+    this.thresholdProfiles[name] = this.validateThresholdProfile(profile);
+    return profile;
+  },
+
+  /**
+   * Register a grape variety envelope
+   * @param {string} name - Variety name
+   * @param {Object} profile - Threshold profile object for the variety
+   * @return {Object} The registered variety profile
+   */
+  registerVariety: function(name, profile) {
+    this.varieties[name] = this.validateThresholdProfile(profile);
+    return profile;
+  },
+
+  /**
+   * Copy a threshold profile with extra or replaced criterion ranges
+   * @param {string|Object} profile - Profile or variety name, or profile object (defaults to the active profile)
+   * @param {Object} ranges - Min/max pairs keyed by criterion key
+   * @return {Object} Validated profile copy
+   */
+  extendProfile: function(profile, ranges) {
+    var base = this.getThresholdProfile(profile);
+    var extended = {};
+    Object.keys(base).forEach(function(key) {
+      extended[key] = base[key];
+    });
+    Object.keys(ranges).forEach(function(key) {
+      extended[key] = ranges[key];
+    });
+    return this.validateThresholdProfile(extended);
+  },
+
+  /**
+   * Set the profile used by default in computeSuitabilityMask
+   * @param {string} name - Profile name
+   */
+  setActiveProfile: function(name) {
+    this.getThresholdProfile(name);
+    this.activeProfile = name;
+  },
+
+  /**
+   * Criteria applied by a threshold profile
+   * @param {Object} thresholds - Validated threshold profile
+   * @return {Array} Entries from GrapeML.criteria that the profile gives a range
+   */
+  getActiveCriteria: function(thresholds) {
+    return this.criteria.filter(function(criterion) {
+      return thresholds.hasOwnProperty(criterion.key);
+    });
+  },
+
+  /**
+   * Format a criterion range for display
+   * @param {Object} criterion - Entry from GrapeML.criteria
+   * @param {Object} range - Min/max pair
+   * @return {string} Formatted range, e.g. "14.0 - 16.0"
+   */
+  formatRange: function(criterion, range) {
+    return range.min.toFixed(criterion.decimals) + ' - ' + range.max.toFixed(criterion.decimals);
+  },
+
+  /**
+   * Describe the filter code computeSuitabilityMask applies for a profile
+   * @param {string|Object} profile - Profile name or profile object
+   * @return {Array} Lines of code
+   */
+  describeSuitabilityMask: function(profile) {
+    var thresholds = this.getThresholdProfile(profile);
+    var lines = ['computeSuitabilityMask: function(factors) {'];
+    var maskNames = [];
+
+    this.getActiveCriteria(thresholds).forEach(function(criterion) {
+      var range = thresholds[criterion.key];
+      var band = 'factors.' + criterion.key;
+      var maskName = criterion.key + 'Mask';
+      var join = criterion.circular && range.min > range.max ? '.or(' : '.and(';
+      var line = '  var ' + maskName + ' = ' + band + '.gte(' + range.min.toFixed(criterion.decimals) + ')' +
+                 join + band + '.lte(' + range.max.toFixed(criterion.decimals) + '))';
+      if (range.minSlope !== undefined) {
+        line += '.or(factors.slope.lte(' + range.minSlope + '))';
+      }
+      lines.push(line + ';');
+      maskNames.push(maskName);
+    });
+
+    lines.push('  return ' + maskNames[0] + maskNames.slice(1).map(function(name) {
+      return '.and(' + name + ')';
+    }).join('') + ';');
+    lines.push('}');
+
+    return lines;
+  },
+
+  /**
+   * Generate Environmental Suitability Mask
+   * @param {Object} factors - Environmental factors object
+   * @param {string|Object} profile - Threshold profile name or object (defaults to the active profile)
+   * @return {ee.Image} Environmental suitability mask
+   */
+  computeSuitabilityMask: function(factors, profile) {
+    var thresholds = this.getThresholdProfile(profile);
+    var mask = null;
+
+    var self = this;
+
+    this.getActiveCriteria(thresholds).forEach(function(criterion) {
+      var criterionMask = self.computeCriterionMask(criterion, factors, thresholds[criterion.key]);
+      mask = mask ? mask.and(criterionMask) : criterionMask;
+    });
+
+    return mask;
+  },
+
+  /**
+   * Hard threshold mask for one criterion
+   * @param {Object} criterion - Entry from GrapeML.criteria
+   * @param {Object} factors - Environmental factors object
+   * @param {Object} range - Min/max pair, optionally with minSlope
+   * @return {ee.Image} 1 where the criterion is met
+   */
+  computeCriterionMask: function(criterion, factors, range) {
+    var factor = factors[criterion.key];
+    var criterionMask;
+    if (criterion.circular && range.min > range.max) {
+      criterionMask = factor.gte(range.min).or(factor.lte(range.max));
+    } else {
+      var upper = criterion.exclusiveMax ? factor.lt(range.max) : factor.lte(range.max);
+      criterionMask = factor.gte(range.min).and(upper);
+    }
+
+    // The rule only applies on ground steep enough for it to matter
+    if (range.minSlope !== undefined) {
+      criterionMask = criterionMask.or(factors.slope.lte(range.minSlope));
+    }
+    return criterionMask;
+  },
+
+  /**
+   * Distance of a factor from a criterion range (0 inside the range)
+   * @param {Object} criterion - Entry from GrapeML.criteria
+   * @param {Object} factors - Environmental factors object
+   * @param {Object} range - Min/max pair, optionally with minSlope
+   * @return {ee.Image} Distance in the criterion unit
+   */
+  computeCriterionDistance: function(criterion, factors, range) {
+    var factor = factors[criterion.key];
+    var distance;
+    if (criterion.circular) {
+      // Angular distance to the arc running clockwise from min to max
+      var width = range.max >= range.min ? range.max - range.min : range.max - range.min + 360;
+      var offset = factor.subtract(range.min).add(360).mod(360);
+      var beforeMin = ee.Image(360).subtract(offset);
+      var afterMax = offset.subtract(width);
+      distance = beforeMin.min(afterMax).where(offset.lte(width), 0);
+    } else {
+      distance = factor.multiply(-1).add(range.min).max(0)
+        .add(factor.subtract(range.max).max(0));
+    }
+
+    if (range.minSlope !== undefined) {
+      distance = distance.where(factors.slope.lte(range.minSlope), 0);
+    }
+    return distance;
+  },
+
+  /**
+   * Map a distance from a criterion range onto a 0-1 membership value
+   * @param {ee.Image} distance - Distance from the range (0 inside it)
+   * @param {number} tolerance - Width of the transition zone outside the range
+   * @param {string} membership - Membership function: 'binary', 'trapezoid' or 'gaussian'
+   * @return {ee.Image} Membership image (0-1)
+   */
+  computeMembership: function(distance, tolerance, membership) {
+    // A zero-width transition zone is the hard threshold
+    if (membership === 'binary' || !(tolerance > 0)) {
+      return distance.eq(0).toFloat();
+    }
+
+    if (membership === 'trapezoid') {
+      return distance.divide(-tolerance).add(1).clamp(0, 1);
+    }
+
+    if (membership === 'gaussian') {
+      return distance.pow(2).divide(-2 * tolerance * tolerance).exp();
+    }
+
+    throw new Error('Unknown membership function: ' + membership);
+  },
+
+  /**
+   * Generate a continuous suitability score from fuzzy factor memberships.
+   * The binary membership combined with the geometric mean reproduces
+   * computeSuitabilityMask exactly.
+   * @param {Object} factors - Environmental factors object
+   * @param {string|Object} profile - Threshold profile name or object (defaults to the active profile)
+   * @param {Object} options - membership ('trapezoid', 'gaussian' or 'binary'),
+   *                           combine ('weighted' or 'geometric') and weights per criterion key
+   * @return {ee.Image} Suitability score (0-1)
+   */
+  computeSuitabilityScore: function(factors, profile, options) {
+    options = options || {};
+    var membership = options.membership || 'trapezoid';
+    var combine = options.combine || 'weighted';
+    var weights = options.weights || {};
+    var thresholds = this.getThresholdProfile(profile);
+    var self = this;
+
+    if (combine !== 'weighted' && combine !== 'geometric') {
+      throw new Error('Unknown combination method: ' + combine);
+    }
+
+    var score = null;
+    var totalWeight = 0;
+
+    this.getActiveCriteria(thresholds).forEach(function(criterion) {
+      var weight = weights.hasOwnProperty(criterion.key) ? weights[criterion.key] : 1;
+      if (!(weight >= 0)) {
+        throw new Error('Weight for ' + criterion.label + ' must be a non-negative number');
+      }
+      if (weight === 0) return;
+
+      var range = thresholds[criterion.key];
+      var tolerance = range.tolerance !== undefined ? range.tolerance : criterion.tolerance;
+      var distance = self.computeCriterionDistance(criterion, factors, range);
+      var value = self.computeMembership(distance, tolerance, membership);
+
+      if (combine === 'geometric') {
+        value = value.pow(weight);
+        score = score ? score.multiply(value) : value;
+      } else {
+        value = value.multiply(weight);
+        score = score ? score.add(value) : value;
+      }
+      totalWeight += weight;
+    });
+
+    if (totalWeight <= 0) {
+      throw new Error('At least one criterion needs a positive weight');
+    }
+
+    score = combine === 'geometric' ? score.pow(1 / totalWeight) : score.divide(totalWeight);
+    return score.rename('score');
+  },
+
+  /**
+   * Saaty random consistency index by matrix size
+   */
+  ahpRandomIndex: [0, 0, 0, 0.58, 0.90, 1.12, 1.24, 1.32, 1.41, 1.45, 1.49],
+
+  /**
+   * Pairwise importance of criteria on the Saaty 1-9 scale, keyed 'a/b'.
+   * A value above 1 means a is more important than b.
+   */
+  ahpComparisons: {
+    'gst/gdd': 1,
+    'gst/gsp': 3,
+    'gst/slope': 5,
+    'gst/elevation': 5,
+    'gdd/gsp': 3,
+    'gdd/slope': 5,
+    'gdd/elevation': 5,
+    'gsp/slope': 2,
+    'gsp/elevation': 2,
+    'slope/elevation': 1
+  },
+
+  /**
+   * Build a reciprocal pairwise comparison matrix
+   * @param {Array} keys - Criterion keys, in matrix order
+   * @param {Object} comparisons - Pairwise importances keyed 'a/b' (missing pairs default to 1)
+   * @return {Array} Square matrix as nested arrays
+   */
+  buildPairwiseMatrix: function(keys, comparisons) {
+    return keys.map(function(a, i) {
+      return keys.map(function(b, j) {
+        if (i === j) return 1;
+        var value;
+        if (comparisons.hasOwnProperty(a + '/' + b)) {
+          value = comparisons[a + '/' + b];
+        } else if (comparisons.hasOwnProperty(b + '/' + a)) {
+          value = 1 / comparisons[b + '/' + a];
+        } else {
+          value = 1;
+        }
+        if (!(value > 0)) {
+          throw new Error('Pairwise importance of ' + a + ' over ' + b + ' must be a positive number');
+        }
+        return value;
+      });
+    });
+  },
+
+  /**
+   * Derive criterion weights from pairwise comparisons (Analytic Hierarchy Process)
+   * @param {Object} comparisons - Pairwise importances keyed 'a/b' (defaults to GrapeML.ahpComparisons)
+   * @param {string|Object} profile - Threshold profile whose criteria are weighted (optional)
+   * @return {Object} Weights per criterion key, principal eigenvalue, consistency index and ratio
+   */
+  computeAHPWeights: function(comparisons, profile) {
+    var thresholds = this.getThresholdProfile(profile);
+    var keys = this.getActiveCriteria(thresholds).map(function(criterion) { return criterion.key; });
+    var matrix = this.buildPairwiseMatrix(keys, comparisons || this.ahpComparisons);
+    var n = keys.length;
+
+    // Principal eigenvector by power iteration
+    var vector = keys.map(function() { return 1 / n; });
+    for (var iteration = 0; iteration < 100; iteration++) {
+      var next = matrix.map(function(row) {
+        return row.reduce(function(sum, value, j) { return sum + value * vector[j]; }, 0);
+      });
+      var total = next.reduce(function(sum, value) { return sum + value; }, 0);
+      vector = next.map(function(value) { return value / total; });
+    }
+
+    var lambdaMax = matrix.reduce(function(sum, row, i) {
+      var rowProduct = row.reduce(function(acc, value, j) { return acc + value * vector[j]; }, 0);
+      return sum + rowProduct / vector[i];
+    }, 0) / n;
+
+    var consistencyIndex = n > 2 ? (lambdaMax - n) / (n - 1) : 0;
+    var randomIndex = this.ahpRandomIndex[n] || this.ahpRandomIndex[this.ahpRandomIndex.length - 1];
+    var consistencyRatio = randomIndex > 0 ? consistencyIndex / randomIndex : 0;
+
+    var weights = {};
+    keys.forEach(function(key, i) {
+      weights[key] = vector[i];
+    });
+
+    return {
+      weights: weights,
+      lambdaMax: lambdaMax,
+      consistencyIndex: consistencyIndex,
+      consistencyRatio: consistencyRatio,
+      consistent: consistencyRatio < 0.1
+    };
+  },
+
+  /**
+   * Set the pairwise comparisons used by the AHP overlay
+   * @param {Object} comparisons - Pairwise importances keyed 'a/b'
+   * @return {Object} AHP weights derived from the comparisons
+   */
+  setAHPComparisons: function(comparisons) {
+    var result = this.computeAHPWeights(comparisons);
+    this.ahpComparisons = comparisons;
+    return result;
+  },
+
+  /**
+   * Run the AHP weighted overlay
+   * @param {Object} factors - Environmental factors object
+   * @param {ee.Geometry} region - Analysis region
+   * @param {string|Object} profile - Threshold profile name or object (optional)
+   * @param {Object} comparisons - Pairwise importances keyed 'a/b' (optional)
+   * @return {Object} AHP results object
+   */
+  runAHP: function(factors, region, profile, comparisons) {
+    var ahp = this.computeAHPWeights(comparisons, profile);
+
+    var suitabilityScore = this.computeSuitabilityScore(factors, profile, {
+      membership: 'trapezoid',
+      combine: 'weighted',
+      weights: ahp.weights
+    }).clip(region);
+
+    // High suitability areas (score at or above the user-set threshold)
+    var threshold = this.thresholdSelection.value;
+    var highSuitabilityAreas = suitabilityScore.gte(threshold);
+
+    var areaCalculation = highSuitabilityAreas.multiply(ee.Image.pixelArea())
+                        .reduceRegion({
+                          reducer: ee.Reducer.sum(),
+                          geometry: region,
+                          scale: 250,
+                          maxPixels: 1e9
+                        });
+
+    return {
+      success: true,
+      method: 'AHP',
+      threshold: threshold,
+      suitabilityScore: suitabilityScore,
+      highSuitabilityAreas: highSuitabilityAreas,
+      area: areaCalculation,
+      weights: ahp.weights,
+      consistencyRatio: ahp.consistencyRatio,
+      consistent: ahp.consistent
+    };
+  },
+  
+  /**
+   * Machine learning feature bands and the environmental factor each is read from
+   */
+  featureBands: {
+    GST: 'gst',
+    GDD: 'gdd',
+    GSP: 'gsp',
+    slope: 'slope',
+    aspect: 'aspect',
+    northness: 'northness',
+    eastness: 'eastness',
+    solarExposure: 'solarExposure',
+    elevation: 'elevation',
+    latitude: 'latitude',
+    Huglin: 'huglin',
+    Winkler: 'winkler',
+    BEDD: 'bedd'
+  },
+  
+  // Feature bands used by runMachineLearning when none are passed explicitly
+  mlFeatures: ['GST', 'GDD', 'GSP', 'slope', 'northness', 'eastness', 'solarExposure', 'elevation', 'latitude'],
+  
+  /**
+   * Build the machine learning feature image
+   * @param {Object} factors - Environmental factors object
+   * @param {Array} features - Feature band names (keys of GrapeML.featureBands)
+   * @return {ee.Image} Feature image with one band per feature
+   */
+  buildFeatureImage: function(factors, features) {
+    var self = this;
+    return ee.Image.cat(features.map(function(name) {
+      if (!self.featureBands.hasOwnProperty(name)) {
+        throw new Error('Unknown machine learning feature: ' + name);
+      }
+      return factors[self.featureBands[name]].rename(name);
+    }));
+  },
+  
+  /**
+   * Pseudo-absence (background) sampling for the negative class:
+   *   ruleMask - outside the rule-based suitability mask (the model then
+   *              largely relearns the thresholds)
+   *   random - anywhere in the region outside vineyards
+   *   buffered - further than bufferDistance metres from any vineyard
+   *   environmental - environmentally unlike the vineyards: RMS z-score
+   *                   distance from the vineyard feature means above
+   *                   environmentalThreshold
+   *   targetGroup - other farmland (backgroundClasses of the land-cover
+   *                 product), which shares the access and recording biases
+   *                 of the vineyard records
+   * ratio is the number of background points per vineyard point (1 = balanced).
+   */
+  pseudoAbsenceStrategies: ['ruleMask', 'random', 'buffered', 'environmental', 'targetGroup'],
+  
+  pseudoAbsence: {
+    strategy: 'ruleMask',
+    ratio: 2,
+    bufferDistance: 2000,
+    environmentalThreshold: 1,
+    seed: 456
+  },
+  
+  /**
+   * Build the area pseudo-absence points may be drawn from
+   * @param {string} strategy - One of GrapeML.pseudoAbsenceStrategies
+   * @param {ee.Image} featureImage - Feature image
+   * @param {ee.Image} suitabilityMask - Environmental suitability mask
+   * @param {ee.Geometry} region - Analysis region
+   * @param {ee.FeatureCollection} vineyards - Vineyards in the region
+   * @param {ee.FeatureCollection} positivePoints - Vineyard sample points
+   * @return {ee.Image} 1 where background points may be drawn, 0 elsewhere
+   */
+  computeBackgroundArea: function(strategy, featureImage, suitabilityMask, region, vineyards, positivePoints) {
+    var settings = this.pseudoAbsence;
+    var outsideVineyards = ee.Image(0).paint(vineyards, 1).not();
+    
+    if (strategy === 'ruleMask') {
+      return suitabilityMask.not();
+    }
+    if (strategy === 'random') {
+      return outsideVineyards;
+    }
+    if (strategy === 'buffered') {
+      return vineyards.distance(settings.bufferDistance).unmask(settings.bufferDistance + 1)
+                      .gt(settings.bufferDistance);
+    }
+    if (strategy === 'environmental') {
+      var presence = featureImage.sampleRegions({
+        collection: positivePoints,
+        scale: 100,
+        tileScale: 16
+      });
+      // Band list stays on the server so training can run through evaluate
+      var squaredScores = featureImage.bandNames().map(function(band) {
+        band = ee.String(band);
+        var mean = presence.aggregate_mean(band);
+        var sd = ee.Number(presence.aggregate_total_sd(band)).max(1e-6);
+        return featureImage.select([band]).subtract(ee.Image.constant(mean)).divide(ee.Image.constant(sd))
+                           .pow(2).rename('score');
+      });
+      var distance = ee.ImageCollection.fromImages(squaredScores).mean().sqrt();
+      return distance.gt(settings.environmentalThreshold).and(outsideVineyards);
+    }
+    if (strategy === 'targetGroup') {
+      var product = this.getLandCoverProduct();
+      var classes = product.backgroundClasses;
+      var farmland = product.load().remap(classes, classes.map(function() { return 1; }), 0);
+      return farmland.and(outsideVineyards);
+    }
+    throw new Error('Unknown pseudo-absence strategy: ' + strategy);
+  },
+  
+  /**
+   * Spatial block cross-validation settings. blocking is 'grid' (square
+   * cells of blockSize metres on the British National Grid) or 'cluster'
+   * (k-means clusters of the sample coordinates); whole blocks are assigned
+   * to folds so test points never sit next to training points.
+   */
+  crossValidation: {
+    folds: 5,
+    blocking: 'grid',
+    blockSize: 5000,
+    clusters: 20,
+    seed: 7
+  },
+  
+  /**
+   * Assign samples to spatial blocks and cross-validation folds
+   * @param {ee.FeatureCollection} samples - Samples with point geometries
+   * @param {Object} options - Cross-validation settings (defaults to GrapeML.crossValidation)
+   * @return {ee.FeatureCollection} Samples with 'block' and 'fold' properties
+   */
+  assignSpatialBlocks: function(samples, options) {
+    options = options || this.crossValidation;
+    
+    var projected = samples.map(function(feature) {
+      var xy = feature.geometry().transform('EPSG:27700', 1).coordinates();
+      return feature.set({x: xy.get(0), y: xy.get(1)});
+    });
+    
+    var blocked;
+    if (options.blocking === 'grid') {
+      blocked = projected.map(function(feature) {
+        var column = ee.Number(feature.get('x')).divide(options.blockSize).floor().format('%d');
+        var row = ee.Number(feature.get('y')).divide(options.blockSize).floor().format('%d');
+        return feature.set('block', column.cat('_').cat(row));
+      });
+    } else if (options.blocking === 'cluster') {
+      var clusterer = ee.Clusterer.wekaKMeans({nClusters: options.clusters, seed: options.seed})
+                        .train(projected, ['x', 'y']);
+      blocked = projected.cluster(clusterer, 'cluster').map(function(feature) {
+        return feature.set('block', ee.Number(feature.get('cluster')).format('%d'));
+      });
+    } else {
+      throw new Error('Unknown spatial blocking method: ' + options.blocking);
+    }
+    
+    // Shuffle the blocks, then deal them out to folds in turn
+    var blocks = ee.FeatureCollection(
+      ee.List(blocked.aggregate_array('block')).distinct().map(function(block) {
+        return ee.Feature(null, {block: block});
+      })
+    ).randomColumn('order', options.seed).sort('order').aggregate_array('block');
+    var folds = ee.List.sequence(0, blocks.size().subtract(1)).map(function(index) {
+      return ee.Number(index).mod(options.folds);
+    });
+    var foldByBlock = ee.Dictionary.fromLists(blocks, folds);
+    
+    return blocked.map(function(feature) {
+      return feature.set('fold', foldByBlock.get(feature.get('block')));
+    });
+  },
+  
+  /**
+   * Cross-validate a classifier over spatial block folds
+   * @param {ee.Classifier} classifier - Untrained classifier
+   * @param {ee.FeatureCollection} samples - Samples with 'class' and 'fold' properties
+   * @param {Array} features - Input property names
+   * @param {number} folds - Number of folds
+   * @param {boolean} probability - Whether the classifier has a PROBABILITY output mode
+   * @param {boolean} outputsProbability - Whether the classifier's default output is already a probability
+   * @return {Object} accuracies (ee.List, one per fold) and
+   *   validation (ee.FeatureCollection of out-of-fold predictions, with the
+   *   predicted class in 'classification' and probability of class 1 in 'probability')
+   */
+  crossValidate: function(classifier, samples, features, folds, probability, outputsProbability) {
+    var accuracies = [];
+    var predictions = [];
+    
+    for (var fold = 0; fold < folds; fold++) {
+      var training = samples.filter(ee.Filter.neq('fold', fold));
+      var testing = samples.filter(ee.Filter.eq('fold', fold));
+      var trained = classifier.train({
+        features: training,
+        classProperty: 'class',
+        inputProperties: features
+      });
+      var validated = testing.classify(probability ? trained.setOutputMode('PROBABILITY') : trained, 'probability');
+      if (outputsProbability) {
+        // No class output to score, so predict the more likely class
+        validated = validated.map(function(feature) {
+          return feature.set('classification', ee.Number(feature.get('probability')).gte(0.5));
+        });
+      } else {
+        validated = validated.classify(trained, 'classification');
+      }
+      predictions.push(validated);
+      accuracies.push(validated.errorMatrix('class', 'classification', [0, 1]).accuracy());
+    }
+    
+    return {
+      accuracies: ee.List(accuracies),
+      validation: ee.FeatureCollection(predictions).flatten()
+    };
+  },
+  
+  /**
+   * Classifier backends. create returns an untrained ee.Classifier from a
+   * parameter set; params holds the defaults and searchSpace the candidate
+   * values tried by searchHyperparameters. probability is false for
+   * backends without a PROBABILITY output mode, whose scores are then the
+   * predicted classes (0/1). outputsProbability is true for backends whose
+   * default output is a probability rather than a class.
+   */
+  classifiers: {
+    randomForest: {
+      label: 'Random Forest',
+      params: {numberOfTrees: 50, variablesPerSplit: 2, seed: 42},
+      searchSpace: {numberOfTrees: [50, 100, 200], variablesPerSplit: [1, 2, 3, 4], minLeafPopulation: [1, 5]},
+      probability: true,
+      create: function(params) {
+        return ee.Classifier.smileRandomForest(params);
+      }
+    },
+    gradientBoost: {
+      label: 'Gradient Boosting',
+      params: {numberOfTrees: 100, shrinkage: 0.05, samplingRate: 0.7, seed: 42},
+      searchSpace: {numberOfTrees: [50, 100, 200], shrinkage: [0.01, 0.05, 0.1], maxNodes: [4, 8, 16]},
+      probability: true,
+      create: function(params) {
+        return ee.Classifier.smileGradientTreeBoost(params);
+      }
+    },
+    svm: {
+      label: 'Support Vector Machine',
+      params: {kernelType: 'RBF', gamma: 0.5, cost: 10},
+      searchSpace: {gamma: [0.1, 0.5, 1, 2], cost: [1, 10, 100]},
+      probability: false,
+      create: function(params) {
+        return ee.Classifier.libsvm(params);
+      }
+    },
+    maxent: {
+      // Presence/background model, a natural fit for presence-only vineyard data
+      label: 'MaxEnt',
+      params: {betaMultiplier: 1, autoFeature: true, seed: 42},
+      searchSpace: {betaMultiplier: [0.5, 1, 2, 4], hinge: [true, false]},
+      probability: true,
+      outputsProbability: true,
+      create: function(params) {
+        return ee.Classifier.amnhMaxent(params);
+      }
+    },
+    cart: {
+      label: 'CART',
+      params: {minLeafPopulation: 5},
+      searchSpace: {maxNodes: [8, 16, 32, 64], minLeafPopulation: [1, 5, 10]},
+      probability: true,
+      create: function(params) {
+        return ee.Classifier.smileCart(params);
+      }
+    }
+  },
+  
+  // Classifier used by runMachineLearning when none is passed explicitly
+  // (key of GrapeML.classifiers, or {type, params} from searchHyperparameters)
+  activeClassifier: 'randomForest',
+  
+  /**
+   * Register a classifier backend
+   * @param {string} key - Classifier key
+   * @param {Object} entry - Object with label, params, probability, create and optionally outputsProbability
+   * @return {Object} The registered classifier
+   */
+  registerClassifier: function(key, entry) {
+    if (!entry || typeof entry.create !== 'function') {
+      throw new Error('Classifier ' + key + ' must provide create');
+    }
+    this.classifiers[key] = entry;
+    return entry;
+  },
+  
+  /**
+   * Resolve a classifier backend and build an untrained classifier
+   * @param {string|Object} spec - Key of GrapeML.classifiers, or {type, params}
+   *   with params overriding the defaults (defaults to GrapeML.activeClassifier)
+   * @return {Object} key, label, params, probability, outputsProbability and classifier (untrained ee.Classifier)
+   */
+  getClassifier: function(spec) {
+    spec = spec || this.activeClassifier;
+    var key = typeof spec === 'object' ? spec.type : spec;
+    if (!this.classifiers.hasOwnProperty(key)) {
+      throw new Error('Unknown classifier: ' + key);
+    }
+    var entry = this.classifiers[key];
+    
+    var params = {};
+    Object.keys(entry.params).forEach(function(name) {
+      params[name] = entry.params[name];
+    });
+    if (typeof spec === 'object' && spec.params) {
+      Object.keys(spec.params).forEach(function(name) {
+        params[name] = spec.params[name];
+      });
+    }
+    
+    return {
+      key: key,
+      label: entry.label,
+      params: params,
+      probability: entry.probability,
+      outputsProbability: !!entry.outputsProbability,
+      classifier: entry.create(params)
+    };
+  },
+  
+  /**
+   * Set the classifier used by default
+   * @param {string|Object} spec - Key of GrapeML.classifiers, or {type, params}
+   */
+  setActiveClassifier: function(spec) {
+    this.getClassifier(spec);
+    this.activeClassifier = spec;
+  },
+  
+  /**
+   * Expand a search space into every combination of parameter values
+   * @param {Object} searchSpace - Candidate values per parameter
+   * @return {Array} Parameter objects
+   */
+  buildParameterGrid: function(searchSpace) {
+    var grid = [{}];
+    Object.keys(searchSpace).forEach(function(name) {
+      var expanded = [];
+      grid.forEach(function(params) {
+        searchSpace[name].forEach(function(value) {
+          var combination = {};
+          Object.keys(params).forEach(function(key) {
+            combination[key] = params[key];
+          });
+          combination[name] = value;
+          expanded.push(combination);
+        });
+      });
+      grid = expanded;
+    });
+    return grid;
+  },
+  
+  /**
+   * Search classifier parameters, scoring each configuration on spatially
+   * cross-validated metrics of the same samples and folds
+   * @param {Object} factors - Environmental factors object
+   * @param {ee.Image} suitabilityMask - Environmental suitability mask
+   * @param {ee.Geometry} region - Analysis region
+   * @param {ee.FeatureCollection} vineyards - Vineyard data
+   * @param {Object} options - classifier (key, defaults to the active classifier's),
+   *   method ('grid' or 'random'), iterations (random search), metric (key of
+   *   the metrics object, defaults to 'auc'), searchSpace, features and seed
+   * @return {Object} success, plus classifier, metric, best ({type, params}
+   *   for runMachineLearning or setActiveClassifier) and results (sorted best
+   *   first: params, score, crossValidation and metrics, or error), or error
+   */
+  searchHyperparameters: function(factors, suitabilityMask, region, vineyards, options) {
+    var self = this;
+    options = options || {};
+    var active = this.activeClassifier;
+    var key = options.classifier || (typeof active === 'object' ? active.type : active);
+    var entry = this.getClassifier(key);
+    var metric = options.metric || 'auc';
+    var features = options.features || this.mlFeatures;
+    
+    var candidates = this.buildParameterGrid(options.searchSpace || this.classifiers[key].searchSpace || {});
+    if (options.method === 'random') {
+      // Seeded shuffle (Park-Miller generator) so searches are repeatable
+      var state = options.seed || 42;
+      for (var i = candidates.length - 1; i > 0; i--) {
+        state = (state * 16807) % 2147483647;
+        var j = state % (i + 1);
+        var swap = candidates[i];
+        candidates[i] = candidates[j];
+        candidates[j] = swap;
+      }
+      candidates = candidates.slice(0, options.iterations || 10);
+    } else if (options.method && options.method !== 'grid') {
+      throw new Error('Unknown search method: ' + options.method);
+    }
+    print("Evaluating " + candidates.length + " " + entry.label + " configurations");
+    
+    var featureImage = this.buildFeatureImage(factors, features).clip(region);
+    var prepared = this.prepareTrainingSamples(featureImage, suitabilityMask, region, vineyards);
+    if (!prepared.success) {
+      return {success: false, error: prepared.error};
+    }
+    
+    var results = candidates.map(function(params) {
+      var backend = self.getClassifier({type: key, params: params});
+      try {
+        var evaluation = self.evaluateClassifier(backend, prepared.samples, features, prepared.blockCount,
+                                                 null, null, true);
+        var score = evaluation.metrics[metric];
+        return {
+          params: backend.params,
+          // Non-finite scores (e.g. AUC of a fold set without positives) rank last
+          score: isFinite(score) ? score : -Infinity,
+          crossValidation: evaluation.crossValidation,
+          metrics: evaluation.metrics
+        };
+      } catch (error) {
+        return {params: backend.params, score: -Infinity, error: error.message || String(error)};
+      }
+    });
+    // Compare rather than subtract: -Infinity - -Infinity is NaN
+    results.sort(function(a, b) {
+      return a.score === b.score ? 0 : (b.score > a.score ? 1 : -1);
+    });
+    
+    // One summary table instead of per-configuration output
+    print(entry.label + " configurations by " + metric + ", best first:", results.map(function(result) {
+      var outcome = result.error ? 'error (' + result.error + ')' :
+                    isFinite(result.score) ? result.score.toFixed(3) : 'no score';
+      return JSON.stringify(result.params) + ': ' + outcome;
+    }));
+    
+    if (results.length === 0 || results[0].error || !isFinite(results[0].score)) {
+      return {success: false, error: 'No ' + entry.label + ' configuration could be evaluated'};
+    }
+    
+    return {
+      success: true,
+      classifier: key,
+      label: entry.label,
+      metric: metric,
+      best: {type: key, params: results[0].params},
+      results: results
+    };
+  },
+  
+  /**
+   * Run a training step synchronously: resolve(object, next) brings Earth
+   * Engine values to the client with getInfo
+   * @param {Function} step - function(resolve, done)
+   * @return {*} Value the step passes to done
+   */
+  runNow: function(step) {
+    var result;
+    step(function(object, next) {
+      next(object.getInfo());
+    }, function(value) {
+      result = value;
+    });
+    return result;
+  },
+  
+  /**
+   * Run a training step through evaluate callbacks, so long computations do
+   * not block the UI
+   * @param {Function} step - function(resolve, done)
+   * @param {Function} callback - Receives the value the step passes to done
+   * @param {Function} onError - Receives the message of an Earth Engine or script error
+   */
+  runLater: function(step, callback, onError) {
+    function attempt(fn, value) {
+      try {
+        fn(value);
+      } catch (error) {
+        onError(error && error.message ? error.message : String(error));
+      }
+    }
+    attempt(function() {
+      step(function(object, next) {
+        object.evaluate(function(value, error) {
+          if (error) {
+            onError(error);
+            return;
+          }
+          attempt(next, value);
+        });
+      }, callback);
+    });
+  },
+  
+  /**
+   * Generate presence/absence samples, extract features and assign spatial blocks
+   * @param {ee.Image} featureImage - Feature image
+   * @param {ee.Image} suitabilityMask - Environmental suitability mask
+   * @param {ee.Geometry} region - Analysis region
+   * @param {ee.FeatureCollection} vineyards - Vineyard data
+   * @param {Function} resolve - Resolver from runNow or runLater (optional; blocks with getInfo when omitted)
+   * @param {Function} done - Receives the result when resolve is given
+   * @return {Object} success, plus samples, positiveCount, negativeCount,
+   *   pseudoAbsence (strategy) and blockCount on success or error on failure
+   *   (returned when called without resolve)
+   */
+  prepareTrainingSamples: function(featureImage, suitabilityMask, region, vineyards, resolve, done) {
+    var self = this;
+    if (!resolve) {
+      return this.runNow(function(resolve, done) {
+        self.prepareTrainingSamples(featureImage, suitabilityMask, region, vineyards, resolve, done);
+      });
+    }
+    
+    // Clip to analysis region
+    var regionalVineyards = vineyards.filterBounds(region);
+    
+    // Check if there are enough vineyard data
+    resolve(regionalVineyards.size(), function(vineyardCount) {
+      print("Number of vineyards in the region:", vineyardCount);
+      
+      if (vineyardCount < 5) {
+        done({
+          success: false,
+          error: 'Insufficient vineyard data in the selected region for machine learning prediction'
+        });
+        return;
+      }
+      
+      // Generate positive sample points
+      var positivePointCount = Math.min(vineyardCount * 10, 200);
+      print("Number of positive sample points:", positivePointCount);
+      
+      var positivePoints = ee.FeatureCollection.randomPoints({
+        region: regionalVineyards.geometry(),
+        points: positivePointCount,
+        seed: 123
+      }).map(function(feature) {
+        return feature.set('class', 1);
+      });
+      
+      // Check if positive sample points were successfully generated
+      resolve(positivePoints.size(), function(actualPositiveCount) {
+        print("Actual number of positive sample points generated:", actualPositiveCount);
+        
+        if (actualPositiveCount < 5) {
+          done({
+            success: false,
+            error: 'Unable to generate sufficient positive sample points'
+          });
+          return;
+        }
+        
+        sampleNegatives(positivePoints, actualPositiveCount);
+      });
+    });
+    
+    function sampleNegatives(positivePoints, actualPositiveCount) {
+      // Generate negative (pseudo-absence) sample points, ratio per positive point
+      var settings = self.pseudoAbsence;
+      var backgroundArea = self.computeBackgroundArea(settings.strategy, featureImage, suitabilityMask,
+                                                      region, regionalVineyards, positivePoints);
+      var negativePointCount = Math.round(actualPositiveCount * settings.ratio);
+      print("Pseudo-absence strategy:", settings.strategy, "- requested negative points:", negativePointCount);
+      
+      var negativePoints = backgroundArea.rename('background').selfMask().stratifiedSample({
+        numPoints: negativePointCount,
+        classBand: 'background',
+        region: region,
+        scale: 100,
+        seed: settings.seed,
+        geometries: true,
+        tileScale: 16
+      }).map(function(feature) {
+        return ee.Feature(feature.geometry(), {'class': 0});
+      });
+      
+      // Merge all samples
+      var allPoints = positivePoints.merge(negativePoints);
+      
+      // Extract feature values
+      var sampledPoints = featureImage.sampleRegions({
+        collection: allPoints,
+        properties: ['class'],
+        scale: 100,
+        tileScale: 16,  // Increase tileScale to handle large areas
+        geometries: true  // Keep locations for spatial blocking
+      });
+      
+      // Split into spatial blocks, dealt out to cross-validation folds
+      var cvOptions = self.crossValidation;
+      sampledPoints = self.assignSpatialBlocks(sampledPoints, cvOptions);
+      
+      // Count negatives, extracted samples and blocks in one request
+      resolve(ee.Dictionary({
+        negatives: negativePoints.size(),
+        samples: sampledPoints.size(),
+        blocks: ee.List(sampledPoints.aggregate_array('block')).distinct().size()
+      }), function(counts) {
+        // Check if negative sample points were successfully generated
+        print("Actual number of negative sample points generated:", counts.negatives);
+        
+        if (counts.negatives < 5) {
+          done({
+            success: false,
+            error: 'Unable to generate sufficient negative sample points'
+          });
+          return;
+        }
+        
+        // Check if feature extraction was successful
+        print("Number of sample points with successfully extracted features:", counts.samples);
+        
+        if (counts.samples < 10) {
+          done({
+            success: false,
+            error: 'Feature extraction failed, insufficient sample points'
+          });
+          return;
+        }
+        
+        // Check there is at least one block per fold
+        print("Number of spatial blocks (" + cvOptions.blocking + "):", counts.blocks);
+        
+        if (counts.blocks < cvOptions.folds) {
+          done({
+            success: false,
+            error: 'Too few spatial blocks for ' + cvOptions.folds + '-fold cross-validation'
+          });
+          return;
+        }
+        
+        done({
+          success: true,
+          samples: sampledPoints,
+          pseudoAbsence: settings.strategy,
+          positiveCount: actualPositiveCount,
+          negativeCount: counts.negatives,
+          blockCount: counts.blocks
+        });
+      });
+    }
+  },
+  
+  /**
+   * Cross-validate a classifier over the spatial folds and compute its metrics
+   * @param {Object} backend - Resolved classifier from getClassifier
+   * @param {ee.FeatureCollection} samples - Samples from prepareTrainingSamples
+   * @param {Array} features - Input property names
+   * @param {number} blockCount - Number of spatial blocks
+   * @param {Function} resolve - Resolver from runNow or runLater (optional; blocks with getInfo when omitted)
+   * @param {Function} done - Receives the result when resolve is given
+   * @param {boolean} quiet - Skip the per-fold and per-metric console output (optional)
+   * @return {Object} crossValidation summary and metrics (see GrapeMetrics.evaluate,
+   *   scored at the threshold chosen by GrapeML.thresholdSelection; returned when
+   *   called without resolve)
+   */
+  evaluateClassifier: function(backend, samples, features, blockCount, resolve, done, quiet) {
+    var self = this;
+    if (!resolve) {
+      return this.runNow(function(resolve, done) {
+        self.evaluateClassifier(backend, samples, features, blockCount, resolve, done, quiet);
+      });
+    }
+    
+    var cvOptions = this.crossValidation;
+    var cv = this.crossValidate(backend.classifier, samples, features, cvOptions.folds,
+                                 backend.probability, backend.outputsProbability);
+    
+    // Fold accuracies and the pooled out-of-fold predictions in one request
+    resolve(ee.Dictionary({
+      accuracies: cv.accuracies,
+      outOfFold: ee.List(cv.validation.reduceColumns(ee.Reducer.toList(2), ['class', 'probability']).get('list'))
+    }), function(result) {
+      var evaluation = self.summarizeEvaluation(cvOptions, blockCount, result.accuracies, result.outOfFold);
+      if (!quiet) {
+        self.printEvaluation(backend, evaluation);
+      }
+      done(evaluation);
+    });
+  },
+  
+  /**
+   * Print a classifier's cross-validation results to the console
+   * @param {Object} backend - Resolved classifier from getClassifier
+   * @param {Object} evaluation - Result of summarizeEvaluation
+   */
+  printEvaluation: function(backend, evaluation) {
+    var cv = evaluation.crossValidation;
+    var metrics = evaluation.metrics;
+    print(backend.label + " accuracy per fold:", cv.accuracies);
+    print(backend.label + " mean cross-validated accuracy:", cv.mean, "±", cv.stdDev);
+    print(backend.label + " threshold (" + this.thresholdSelection.method + "):", metrics.threshold);
+    print(backend.label + " confusion matrix:", metrics.confusionMatrix);
+    print(backend.label + " AUC:", metrics.auc, "Kappa:", metrics.kappa, "TSS:", metrics.tss);
+  },
+  
+  /**
+   * Summarize cross-validation results on the client
+   * @param {Object} cvOptions - Cross-validation settings used
+   * @param {number} blockCount - Number of spatial blocks
+   * @param {Array} foldAccuracies - Accuracy of each fold
+   * @param {Array} outOfFold - [class, probability] of each out-of-fold prediction
+   * @return {Object} crossValidation summary and metrics
+   */
+  summarizeEvaluation: function(cvOptions, blockCount, foldAccuracies, outOfFold) {
+    var meanAccuracy = foldAccuracies.reduce(function(sum, value) { return sum + value; }, 0) / foldAccuracies.length;
+    var accuracySpread = Math.sqrt(foldAccuracies.reduce(function(sum, value) {
+      return sum + Math.pow(value - meanAccuracy, 2);
+    }, 0) / foldAccuracies.length);
+    
+    // Metrics from the pooled out-of-fold predictions
+    var labels = outOfFold.map(function(row) { return row[0]; });
+    var probabilities = outOfFold.map(function(row) { return row[1]; });
+    
+    // Select the high suitability threshold, then score the classes at it
+    var settings = this.thresholdSelection;
+    var threshold = GrapeMetrics.selectThreshold(GrapeMetrics.rocCurve(labels, probabilities), settings.method, settings.value);
+    var metrics = GrapeMetrics.evaluate(labels, probabilities, threshold);
+    
+    return {
+      crossValidation: {
+        folds: cvOptions.folds,
+        blocking: cvOptions.blocking,
+        blockCount: blockCount,
+        accuracies: foldAccuracies,
+        mean: meanAccuracy,
+        stdDev: accuracySpread,
+        min: Math.min.apply(null, foldAccuracies),
+        max: Math.max.apply(null, foldAccuracies)
+      },
+      metrics: metrics
+    };
+  },
+  
+  /**
+   * Predict suitability with a trained classifier
+   * @param {ee.Classifier} trainedClassifier - Trained classifier
+   * @param {boolean} probability - Whether the classifier has a PROBABILITY output mode
+   * @param {ee.Image} featureImage - Feature image with the classifier's input bands
+   * @param {ee.Geometry} region - Analysis region
+   * @param {number} threshold - Probability at or above which a pixel is highly suitable
+   * @return {Object} suitabilityScore, highSuitabilityAreas and area
+   */
+  predictSuitability: function(trainedClassifier, probability, featureImage, region, threshold) {
+    var probabilityClassifier = probability ? trainedClassifier.setOutputMode('PROBABILITY') : trainedClassifier;
+    var suitabilityScore = featureImage.classify(probabilityClassifier)
+                         .select([0], ['classification'])
+                         .reproject({crs: 'EPSG:4326', scale: 250});
+    
+    // High suitability areas (probability at or above the selected threshold,
+    // the same rule GrapeMetrics uses for the reported metrics)
+    var highSuitabilityAreas = suitabilityScore.gte(threshold);
+    
+    // Calculate high suitability area size
+    var areaCalculation = highSuitabilityAreas.multiply(ee.Image.pixelArea())
+                        .reduceRegion({
+                          reducer: ee.Reducer.sum(),
+                          geometry: region,
+                          scale: 250,
+                          maxPixels: 1e9
+                        });
+    
+    return {
+      suitabilityScore: suitabilityScore,
+      highSuitabilityAreas: highSuitabilityAreas,
+      area: areaCalculation
+    };
+  },
+  
+  /**
+   * Prediction uncertainty settings. method 'bootstrap' retrains the
+   * classifier on `replicates` random subsamples, each holding 63.2% of the
+   * samples (the expected share of distinct samples in a bootstrap), and takes
+   * the standard deviation (0-0.5) of their predictions. 'binomial' is
+   * p(1 - p) of the predicted probability (0-0.25): a transform of the
+   * prediction rather than an independent estimate, and the only option for
+   * saved models, which keep no training samples.
+   */
+  uncertainty: {
+    method: 'bootstrap',
+    replicates: 10,
+    seed: 11
+  },
+  
+  // Descriptions of the uncertainty methods for layer names
+  uncertaintyLabels: {
+    bootstrap: 'bootstrap standard deviation',
+    binomial: 'p(1 - p) of the prediction'
+  },
+  
+  /**
+   * Calculate the training feature envelope (min/max of each feature)
+   * @param {ee.FeatureCollection} samples - Training samples
+   * @param {Array} features - Feature names
+   * @param {Function} resolve - Resolver from runNow or runLater (optional; blocks with getInfo when omitted)
+   * @param {Function} done - Receives the envelope when resolve is given
+   * @return {Object} [min, max] per feature (returned when called without resolve)
+   */
+  computeFeatureEnvelope: function(samples, features, resolve, done) {
+    var envelope = ee.Dictionary.fromLists(features, features.map(function(name) {
+      return ee.List([samples.aggregate_min(name), samples.aggregate_max(name)]);
+    }));
+    if (!resolve) {
+      return envelope.getInfo();
+    }
+    resolve(envelope, done);
+  },
+  
+  /**
+   * Flag pixels outside the training feature envelope
+   * @param {ee.Image} featureImage - Feature image
+   * @param {Object} envelope - [min, max] per feature from computeFeatureEnvelope
+   * @return {ee.Image} 1 where any feature lies outside its training range (band 'extrapolation')
+   */
+  computeExtrapolation: function(featureImage, envelope) {
+    var outside = Object.keys(envelope).map(function(name) {
+      var band = featureImage.select(name);
+      return band.lt(envelope[name][0]).or(band.gt(envelope[name][1]));
+    });
+    return ee.Image.cat(outside).reduce(ee.Reducer.max()).rename('extrapolation');
+  },
+  
+  /**
+   * Binomial spread p(1 - p) of a predicted probability
+   * @param {ee.Image} suitabilityScore - Predicted probability
+   * @return {ee.Image} Spread (band 'uncertainty', 0-0.25)
+   */
+  computeBinomialUncertainty: function(suitabilityScore) {
+    return suitabilityScore.multiply(ee.Image(1).subtract(suitabilityScore)).rename('uncertainty');
+  },
+  
+  /**
+   * Calculate prediction uncertainty
+   * @param {Object} backend - Resolved classifier from getClassifier
+   * @param {ee.Image} suitabilityScore - Predicted probability
+   * @param {ee.FeatureCollection} samples - Training samples (needed for bootstrap)
+   * @param {Array} features - Feature names
+   * @param {ee.Image} featureImage - Feature image
+   * @return {ee.Image} Uncertainty (band 'uncertainty'; see GrapeML.uncertainty for the range of each method)
+   */
+  computeUncertainty: function(backend, suitabilityScore, samples, features, featureImage) {
+    var settings = this.uncertainty;
+    var method = settings.method;
+    
+    if (method === 'binomial') {
+      return this.computeBinomialUncertainty(suitabilityScore);
+    }
+    if (method !== 'bootstrap') {
+      throw new Error('Unknown uncertainty method: ' + method);
+    }
+    
+    var predictions = [];
+    for (var i = 0; i < settings.replicates; i++) {
+      var subsample = samples.randomColumn('replicate', settings.seed + i)
+                             .filter(ee.Filter.lt('replicate', 0.632));
+      var trained = backend.classifier.train({
+        features: subsample,
+        classProperty: 'class',
+        inputProperties: features
+      });
+      predictions.push(featureImage.classify(backend.probability ? trained.setOutputMode('PROBABILITY') : trained)
+                                   .select([0], ['classification']));
+    }
+    return ee.ImageCollection(predictions).reduce(ee.Reducer.stdDev())
+             .rename('uncertainty')
+             .reproject({crs: 'EPSG:4326', scale: 250});
+  },
+  
+  /**
+   * Probability threshold for high suitability. method 'maxTSS' maximises the
+   * True Skill Statistic of the out-of-fold predictions, 'equalSensSpec'
+   * balances sensitivity and specificity and 'fixed' uses value. The AHP
+   * overlay has no validation samples and always uses value.
+   */
+  thresholdSelection: {
+    method: 'maxTSS',
+    value: 0.7
+  },
+  
+  /**
+   * Format a threshold for layer names and legends
+   * @param {number} threshold - Probability threshold
+   * @return {string} e.g. "≥70%"
+   */
+  formatThreshold: function(threshold) {
+    return '≥' + Math.round(threshold * 100) + '%';
+  },
+  
+  // Features shown as partial dependence curves when the model uses them
+  partialDependenceFeatures: ['GST', 'GDD', 'GSP', 'slope', 'elevation'],
+  
+  /**
+   * Explain a trained or saved model: variable importance and partial
+   * dependence (mean predicted probability as one feature is swept across
+   * its training range while the others keep their observed values; for
+   * backends without probabilities, the share of pixels predicted suitable)
+   * @param {Object} mlResults - Successful result of runMachineLearning or predictWithModel
+   * @param {ee.Geometry} region - Analysis region (background pixels are drawn from it)
+   * @param {Object} options - features (defaults to GrapeML.partialDependenceFeatures),
+   *   steps (default 10) and samples (background pixels, default 200)
+   * @return {ee.Dictionary} importance (feature -> score, empty when the backend
+   *   has none) and partialDependence (feature -> {values, response})
+   */
+  explainModel: function(mlResults, region, options) {
+    options = options || {};
+    var steps = options.steps || 10;
+    var modelFeatures = mlResults.features;
+    var features = (options.features || this.partialDependenceFeatures).filter(function(name) {
+      return modelFeatures.indexOf(name) !== -1;
+    });
+    
+    var background = mlResults.featureImage.sample({
+      region: region,
+      scale: 250,
+      numPixels: options.samples || 200,
+      seed: 21,
+      tileScale: 16
+    });
+    var envelope = mlResults.envelope || this.computeFeatureEnvelope(background, features);
+    var classifier = mlResults.probability ? mlResults.classifier.setOutputMode('PROBABILITY') : mlResults.classifier;
+    
+    var partialDependence = {};
+    features.forEach(function(name) {
+      var min = envelope[name][0];
+      var max = envelope[name][1];
+      var values = [];
+      for (var i = 0; i < steps; i++) {
+        values.push(min + (max - min) * i / (steps - 1));
+      }
+      var response = values.map(function(value) {
+        return background.map(function(feature) {
+          return feature.set(name, value);
+        }).classify(classifier, 'probability').aggregate_mean('probability');
+      });
+      partialDependence[name] = {values: values, response: ee.List(response)};
+    });
+    
+    return ee.Dictionary({
+      importance: ee.Dictionary(mlResults.classifier.explain()).get('importance', ee.Dictionary({})),
+      partialDependence: partialDependence
+    });
+  },
+  
+/**
+ * Run Machine Learning Prediction
+ * @param {Object} factors - Environmental factors object
+ * @param {ee.Image} suitabilityMask - Environmental suitability mask
+ * @param {ee.Geometry} region - Analysis region
+ * @param {ee.FeatureCollection} vineyards - Vineyard data
+ * @param {Array} features - Feature band names (defaults to GrapeML.mlFeatures)
+ * @param {string|Object} classifier - Classifier key or {type, params} (defaults to GrapeML.activeClassifier)
+ * @return {Object} Machine learning results object
+ */
+runMachineLearning: function(factors, suitabilityMask, region, vineyards, features, classifier) {
+  var self = this;
+  try {
+    return this.runNow(function(resolve, done) {
+      self.trainModel(factors, suitabilityMask, region, vineyards, features, classifier, resolve, done);
+    });
+  } catch (error) {
     print("Error during machine learning analysis:", error);
     return {
-      success: false,
-      error: error.message,
-      suitabilityMask: suitabilityMask
+      success: false,
+      error: error.message,
+      suitabilityMask: suitabilityMask
+    };
+  }
+},
+  
+  /**
+   * Run machine learning prediction through evaluate callbacks
+   * (arguments as runMachineLearning)
+   * @param {Function} callback - Receives the machine learning results object
+   */
+  runMachineLearningAsync: function(factors, suitabilityMask, region, vineyards, features, classifier, callback) {
+    var self = this;
+    this.runLater(function(resolve, done) {
+      self.trainModel(factors, suitabilityMask, region, vineyards, features, classifier, resolve, done);
+    }, callback, function(error) {
+      print("Error during machine learning analysis:", error);
+      callback({
+        success: false,
+        error: error,
+        suitabilityMask: suitabilityMask
+      });
+    });
+  },
+  
+  /**
+   * Train, cross-validate and apply a classifier (arguments as
+   * runMachineLearning, resolve and done as prepareTrainingSamples)
+   */
+  trainModel: function(factors, suitabilityMask, region, vineyards, features, classifier, resolve, done) {
+    var self = this;
+    
+    // Build feature image
+    features = features || this.mlFeatures;
+    var featureImage = this.buildFeatureImage(factors, features).clip(region);
+    var backend = this.getClassifier(classifier);
+    
+    // Presence/absence samples in spatial blocks
+    this.prepareTrainingSamples(featureImage, suitabilityMask, region, vineyards, resolve, function(prepared) {
+      if (!prepared.success) {
+        done({
+          success: false,
+          error: prepared.error,
+          suitabilityMask: suitabilityMask // Return basic suitability mask as alternative result
+        });
+        return;
+      }
+      var sampledPoints = prepared.samples;
+      
+      // Cross-validate over the spatial folds
+      self.evaluateClassifier(backend, sampledPoints, features, prepared.blockCount, resolve, function(evaluation) {
+        // Confidence: extrapolation beyond the training envelope
+        self.computeFeatureEnvelope(sampledPoints, features, resolve, function(envelope) {
+          done(self.applyTrainedModel(backend, features, featureImage, region, prepared, evaluation, envelope));
+        });
+      });
+    });
+  },
+  
+  /**
+   * Train the final model on all samples and predict the region
+   * @param {Object} backend - Resolved classifier from getClassifier
+   * @param {Array} features - Feature band names
+   * @param {ee.Image} featureImage - Feature image
+   * @param {ee.Geometry} region - Analysis region
+   * @param {Object} prepared - Successful result of prepareTrainingSamples
+   * @param {Object} evaluation - Result of evaluateClassifier
+   * @param {Object} envelope - Training feature envelope
+   * @return {Object} Machine learning results object
+   */
+  applyTrainedModel: function(backend, features, featureImage, region, prepared, evaluation, envelope) {
+    var sampledPoints = prepared.samples;
+    
+    // Train the final model on all samples
+    var trainedClassifier = backend.classifier.train({
+      features: sampledPoints,
+      classProperty: 'class',
+      inputProperties: features
+    });
+    
+    // Predict
+    var threshold = evaluation.metrics.threshold;
+    var prediction = this.predictSuitability(trainedClassifier, backend.probability, featureImage, region, threshold);
+    
+    // Confidence: prediction uncertainty and extrapolation beyond the training envelope
+    var uncertainty = this.computeUncertainty(backend, prediction.suitabilityScore, sampledPoints, features, featureImage);
+    var extrapolation = this.computeExtrapolation(featureImage, envelope);
+    
+    // Get feature importance
+    var importance = trainedClassifier.explain();
+    
+    return {
+      success: true,
+      method: backend.label,
+      classifierType: backend.key,
+      classifierParams: backend.params,
+      features: features,
+      probability: backend.probability,
+      threshold: threshold,
+      suitabilityScore: prediction.suitabilityScore,
+      highSuitabilityAreas: prediction.highSuitabilityAreas,
+      area: prediction.area,
+      uncertainty: uncertainty,
+      uncertaintyMethod: this.uncertainty.method,
+      extrapolation: extrapolation,
+      envelope: envelope,
+      accuracy: ee.Number(evaluation.crossValidation.mean),
+      metrics: evaluation.metrics,
+      crossValidation: evaluation.crossValidation,
+      importance: importance,
+      featureImage: featureImage,
+      classifier: trainedClassifier,
+      sampledPoints: sampledPoints,  // Return sample points for debugging
+      positiveCount: prepared.positiveCount,
+      negativeCount: prepared.negativeCount,
+      pseudoAbsence: prepared.pseudoAbsence
+    };
+  },
+  
+  /**
+   * Compare classifier backends on the same samples and folds
+   * @param {Object} factors - Environmental factors object
+   * @param {ee.Image} suitabilityMask - Environmental suitability mask
+   * @param {ee.Geometry} region - Analysis region
+   * @param {ee.FeatureCollection} vineyards - Vineyard data
+   * @param {Array} classifiers - Classifier keys or {type, params} (defaults to every registered classifier)
+   * @param {Array} features - Feature band names (defaults to GrapeML.mlFeatures)
+   * @return {Object} success and results (one per classifier: key, label,
+   *   crossValidation and metrics, or error), or error
+   */
+  compareClassifiers: function(factors, suitabilityMask, region, vineyards, classifiers, features) {
+    var self = this;
+    features = features || this.mlFeatures;
+    classifiers = classifiers || Object.keys(this.classifiers);
+    var featureImage = this.buildFeatureImage(factors, features).clip(region);
+    
+    var prepared = this.prepareTrainingSamples(featureImage, suitabilityMask, region, vineyards);
+    if (!prepared.success) {
+      return {success: false, error: prepared.error};
+    }
+    
+    var results = classifiers.map(function(spec) {
+      var backend = self.getClassifier(spec);
+      try {
+        var evaluation = self.evaluateClassifier(backend, prepared.samples, features, prepared.blockCount);
+        return {
+          key: backend.key,
+          label: backend.label,
+          crossValidation: evaluation.crossValidation,
+          metrics: evaluation.metrics
+        };
+      } catch (error) {
+        print("Error evaluating " + backend.label + ":", error);
+        return {key: backend.key, label: backend.label, error: error.message};
+      }
+    });
+    
+    return {success: true, results: results};
+  },
+  
+  // Trained models saved in this session, by name
+  savedModels: {},
+  
+  // Model metadata fields stored as JSON strings in exported metadata tables
+  modelMetadataJSON: ['params', 'features', 'crossValidation', 'metrics', 'envelope'],
+  
+  /**
+   * Save a trained model with its training metadata, optionally exporting the
+   * classifier to an asset (metadata goes to a table at assetId + '_metadata')
+   * @param {string} name - Model name, not already used in this session
+   * @param {Object} mlResults - Successful result of runMachineLearning
+   * @param {string} assetId - Asset ID to export to (optional)
+   * @return {Object} Saved model (name, classifier and metadata)
+   */
+  saveModel: function(name, mlResults, assetId) {
+    if (this.savedModels.hasOwnProperty(name)) {
+      throw new Error('A model named "' + name + '" is already saved, choose another name');
+    }
+    var model = this.createModel(name, mlResults);
+    var metadata = model.metadata;
+    
+    if (assetId) {
+      var self = this;
+      var description = 'GrapeML_' + name.replace(/[^A-Za-z0-9_-]/g, '_');
+      var properties = {};
+      Object.keys(metadata).forEach(function(key) {
+        properties[key] = self.modelMetadataJSON.indexOf(key) !== -1 ? JSON.stringify(metadata[key]) : metadata[key];
+      });
+      
+      Export.classifier.toAsset({
+        classifier: mlResults.classifier,
+        description: description,
+        assetId: assetId
+      });
+      Export.table.toAsset({
+        collection: ee.FeatureCollection([ee.Feature(null, properties)]),
+        description: description + '_metadata',
+        assetId: assetId + '_metadata'
+      });
+      metadata.assetId = assetId;
+    }
+    
+    this.savedModels[name] = model;
+    return model;
+  },
+  
+  /**
+   * Build a model from training results without saving it
+   * @param {string} name - Model name
+   * @param {Object} mlResults - Successful result of runMachineLearning
+   * @return {Object} Model (name, classifier and metadata)
+   */
+  createModel: function(name, mlResults) {
+    if (!mlResults || !mlResults.success || !mlResults.classifier) {
+      throw new Error('Only a successfully trained model can be saved');
+    }
+    
+    var metadata = {
+      name: name,
+      classifierType: mlResults.classifierType,
+      method: mlResults.method,
+      params: mlResults.classifierParams,
+      features: mlResults.features,
+      probability: mlResults.probability,
+      threshold: mlResults.threshold,
+      pseudoAbsence: mlResults.pseudoAbsence,
+      positiveCount: mlResults.positiveCount,
+      negativeCount: mlResults.negativeCount,
+      crossValidation: mlResults.crossValidation,
+      metrics: mlResults.metrics,
+      envelope: mlResults.envelope,
+      savedAt: new Date().toISOString()
+    };
+    return {name: name, classifier: mlResults.classifier, metadata: metadata};
+  },
+  
+  /**
+   * Load a saved model by name, reading it from an exported asset the first time
+   * @param {string} name - Model name
+   * @param {string} assetId - Asset ID the model was exported to (needed when not saved in this session)
+   * @return {Object} Saved model (name, classifier and metadata)
+   */
+  loadModel: function(name, assetId) {
+    if (this.savedModels.hasOwnProperty(name)) {
+      return this.savedModels[name];
+    }
+    if (!assetId) {
+      throw new Error('Unknown model: ' + name);
+    }
+    
+    var metadata = ee.FeatureCollection(assetId + '_metadata').first().toDictionary().getInfo();
+    this.modelMetadataJSON.forEach(function(key) {
+      if (typeof metadata[key] === 'string') {
+        metadata[key] = JSON.parse(metadata[key]);
+      }
+    });
+    metadata.name = name;
+    metadata.assetId = assetId;
+    
+    var model = {name: name, classifier: ee.Classifier.load(assetId), metadata: metadata};
+    this.savedModels[name] = model;
+    return model;
+  },
+  
+  /**
+   * Get the decision trees of a saved tree-based model as strings, which can
+   * be stored anywhere and rebuilt with registerModelFromTrees
+   * @param {string} name - Model name
+   * @return {ee.List} Decision tree strings
+   */
+  getDecisionTrees: function(name) {
+    var model = this.loadModel(name);
+    var type = model.metadata.classifierType;
+    if (type !== 'randomForest' && type !== 'cart') {
+      throw new Error('Decision trees can only be exported from Random Forest and CART models');
+    }
+    var explanation = model.classifier.explain();
+    return type === 'cart' ? ee.List([explanation.get('tree')]) : ee.List(explanation.get('trees'));
+  },
+  
+  /**
+   * Register a model rebuilt from decision tree strings
+   * @param {string} name - Model name
+   * @param {ee.List|Array} trees - Decision tree strings from getDecisionTrees
+   * @param {Object} metadata - Training metadata of the original model (features and probability at least)
+   * @return {Object} Saved model
+   */
+  registerModelFromTrees: function(name, trees, metadata) {
+    if (!metadata || !metadata.features) {
+      throw new Error('Model metadata must list the features the trees were trained on');
+    }
+    var model = {name: name, classifier: ee.Classifier.decisionTreeEnsemble(trees), metadata: metadata};
+    this.savedModels[name] = model;
+    return model;
+  },
+  
+  /**
+   * Predict suitability with a saved model, without retraining
+   * @param {string|Object} model - Saved model name or object
+   * @param {Object} factors - Environmental factors object
+   * @param {ee.Geometry} region - Analysis region
+   * @return {Object} Machine learning results object (as runMachineLearning, without samples)
+   */
+  predictWithModel: function(model, factors, region) {
+    model = typeof model === 'object' ? model : this.loadModel(model);
+    var metadata = model.metadata;
+    var featureImage = this.buildFeatureImage(factors, metadata.features).clip(region);
+    var threshold = metadata.threshold || this.thresholdSelection.value;
+    var prediction = this.predictSuitability(model.classifier, metadata.probability, featureImage, region, threshold);
+    
+    // Without the training samples only the binomial spread of the prediction is available
+    var uncertainty = metadata.probability ? this.computeBinomialUncertainty(prediction.suitabilityScore) : null;
+    var extrapolation = metadata.envelope ? this.computeExtrapolation(featureImage, metadata.envelope) : null;
+    
+    return {
+      success: true,
+      method: metadata.method + ' (saved model "' + model.name + '")',
+      model: model.name,
+      classifierType: metadata.classifierType,
+      classifierParams: metadata.params,
+      features: metadata.features,
+      probability: metadata.probability,
+      threshold: threshold,
+      suitabilityScore: prediction.suitabilityScore,
+      highSuitabilityAreas: prediction.highSuitabilityAreas,
+      area: prediction.area,
+      uncertainty: uncertainty,
+      uncertaintyMethod: uncertainty ? 'binomial' : null,
+      extrapolation: extrapolation,
+      envelope: metadata.envelope,
+      accuracy: metadata.crossValidation ? ee.Number(metadata.crossValidation.mean) : null,
+      metrics: metadata.metrics,
+      crossValidation: metadata.crossValidation,
+      featureImage: featureImage,
+      classifier: model.classifier,
+      positiveCount: metadata.positiveCount,
+      negativeCount: metadata.negativeCount,
+      pseudoAbsence: metadata.pseudoAbsence
+    };
+  },
+  
+  // Existing vineyard polygons used as presence data
+  vineyardsAsset: "projects/ee-cesong333/assets/existing_vineyards",
+  
+  /**
+   * Training scope of analyzeSuitability: 'regional' trains on the vineyards
+   * inside the analysis region; 'national' trains once on every UK vineyard
+   * and applies that model to any region, so predictions are comparable
+   */
+  mlScope: 'regional',
+  
+  /**
+   * Apply user settings; the analysis page keeps them in AppState and calls
+   * this with every change so the module configuration follows the store
+   * @param {Object} settings - Any of profile, classifier, mlFeatures, mlScope,
+   *     pseudoAbsence, crossValidation, thresholdSelection, climateSource and
+   *     landCoverExclusion; other keys are ignored
+   */
+  configure: function(settings) {
+    if (settings.profile) {
+      this.setActiveProfile(settings.profile);
+    }
+    if (settings.classifier) {
+      this.setActiveClassifier(settings.classifier);
+    }
+    if (settings.climateSource) {
+      this.setClimateSource(settings.climateSource);
+    }
+    if (settings.landCoverExclusion) {
+      this.landCoverExclusion = this.mergeLandCoverExclusion(settings.landCoverExclusion, {});
+    }
+    if (settings.mlFeatures) {
+      this.mlFeatures = settings.mlFeatures.slice();
+    }
+    if (settings.mlScope) {
+      this.mlScope = settings.mlScope;
+    }
+    
+    // Only the user-facing fields of these groups are settings; the rest stay fixed
+    var self = this;
+    ['pseudoAbsence', 'crossValidation', 'thresholdSelection'].forEach(function(group) {
+      if (settings[group]) {
+        Object.keys(settings[group]).forEach(function(key) {
+          self[group][key] = settings[group][key];
+        });
+      }
+    });
+  },
+  
+  /**
+   * UK boundary used for national training
+   * @return {ee.Geometry} UK geometry
+   */
+  getNationalRegion: function() {
+    return ee.FeatureCollection("FAO/GAUL_SIMPLIFIED_500m/2015/level0")
+             .filter(ee.Filter.eq('ADM0_NAME', 'U.K. of Great Britain and Northern Ireland'))
+             .geometry();
+  },
+  
+  // National models by the settings they were trained with (see getNationalModelKey)
+  nationalModels: {},
+  
+  /**
+   * Cache key of everything a national model's training depends on
+   * @param {string} year - Training year
+   * @param {string|Object} profile - Threshold profile name or object (optional)
+   * @param {string|Object} classifier - Classifier key or {type, params} (optional)
+   * @return {string} Key
+   */
+  getNationalModelKey: function(year, profile, classifier) {
+    return JSON.stringify({
+      year: year,
+      profile: profile || this.activeProfile,
+      classifier: classifier || this.activeClassifier,
+      features: this.mlFeatures,
+      pseudoAbsence: this.pseudoAbsence,
+      crossValidation: this.crossValidation,
+      thresholdSelection: this.thresholdSelection,
+      uncertainty: this.uncertainty,
+      climateSource: this.climateSource,
+      landCoverExclusion: this.landCoverExclusion
+    });
+  },
+  
+  /**
+   * Get the national model trained with the current settings
+   * @param {string} year - Training year
+   * @param {string|Object} profile - Threshold profile name or object (optional)
+   * @param {string|Object} classifier - Classifier key or {type, params} (optional)
+   * @return {Object} Saved model, or null when it has not been trained
+   */
+  getNationalModel: function(year, profile, classifier) {
+    return this.nationalModels[this.getNationalModelKey(year, profile, classifier)] || null;
+  },
+  
+  /**
+   * Train the national model for a year on all UK vineyards and their
+   * pseudo-absences. Training runs through evaluate callbacks, once per
+   * combination of training settings; the models are kept in nationalModels
+   * rather than savedModels, where one name would cover them all
+   * @param {string} year - Training year
+   * @param {string|Object} profile - Threshold profile the pseudo-absences are drawn with (optional)
+   * @param {string|Object} classifier - Classifier key or {type, params} (optional)
+   * @param {Function} callback - Receives success and model, or error
+   */
+  trainNationalModel: function(year, profile, classifier, callback) {
+    var self = this;
+    var key = this.getNationalModelKey(year, profile, classifier);
+    if (this.nationalModels[key]) {
+      callback({success: true, model: this.nationalModels[key]});
+      return;
+    }
+    
+    var region = this.getNationalRegion();
+    var vineyards = ee.FeatureCollection(this.vineyardsAsset);
+    var factors = this.computeEnvironmentalFactors(region, year);
+    var suitabilityMask = this.computeSuitabilityMask(factors, profile);
+    
+    print("Training national model on all UK vineyards (" + year + ")");
+    this.runMachineLearningAsync(factors, suitabilityMask, region, vineyards, null, classifier, function(mlResults) {
+      if (!mlResults.success) {
+        callback({success: false, error: 'National model could not be trained: ' + mlResults.error});
+        return;
+      }
+      var model = self.createModel('UK National ' + year, mlResults);
+      self.nationalModels[key] = model;
+      callback({success: true, model: model});
+    });
+  },
+  
+  /**
+   * Execute complete grape cultivation suitability analysis
+   * @param {ee.Geometry} region - Analysis region
+   * @param {string} year - Analysis year
+   * @param {string|Object} profile - Threshold profile name or object (optional)
+   * @param {string} model - Saved model to predict with instead of training (optional)
+   * @return {Object} Analysis result object
+   */
+  analyzeSuitability: function(region, year, profile, model) {
+    // Load vineyard data
+    var vineyards = ee.FeatureCollection(this.vineyardsAsset);
+    
+    // Calculate environmental factors
+    var factors = this.computeEnvironmentalFactors(region, year);
+    
+    // Calculate environmental suitability mask
+    var suitabilityMask = this.computeSuitabilityMask(factors, profile);
+    
+    // Execute machine learning prediction, reusing a saved model when given
+    // and the national model (trained beforehand with trainNationalModel) in national scope
+    var mlResults;
+    if (model) {
+      mlResults = this.predictWithModel(model, factors, region);
+    } else if (this.mlScope === 'national') {
+      var nationalModel = this.getNationalModel(year, profile);
+      mlResults = nationalModel ? this.predictWithModel(nationalModel, factors, region)
+                                : {success: false, error: 'The national model has not been trained with the current settings',
+                                   suitabilityMask: suitabilityMask};
+    } else {
+      mlResults = this.runMachineLearning(factors, suitabilityMask, region, vineyards);
+    }
+    
+    // Fall back to the AHP weighted overlay when the model cannot be trained
+    if (!mlResults.success) {
+      mlResults.fallback = this.runAHP(factors, region, profile);
+    }
+    
+    return {
+      region: region,
+      year: year,
+      factors: factors,
+      suitabilityMask: suitabilityMask,
+      mlResults: mlResults,
+      vineyards: vineyards
+    };
+  }
+};
+
+// Register ensemble-mean CMIP6 projections as climate sources
+Object.keys(GrapeML.cmip6Scenarios).forEach(function(scenario) {
+  GrapeML.registerClimateSource('cmip6_' + scenario, GrapeML.createCMIP6Source(scenario));
+});
+
+// ===== 2. Model Evaluation Metrics Module =====
+
+/**
+ * Binary classification metrics computed from observed classes (0/1) and
+ * predicted probabilities of class 1
+ */
+var GrapeMetrics = {
+  
+  /**
+   * Count confusion matrix cells at a probability threshold
+   * @param {Array} labels - Observed classes (0 or 1)
+   * @param {Array} probabilities - Predicted probabilities of class 1
+   * @param {number} threshold - Probability at or above which class 1 is predicted
+   * @return {Object} tp, fp, tn and fn counts
+   */
+  confusionMatrix: function(labels, probabilities, threshold) {
+    var matrix = {tp: 0, fp: 0, tn: 0, fn: 0};
+    labels.forEach(function(label, i) {
+      var predicted = probabilities[i] >= threshold ? 1 : 0;
+      if (label === 1) {
+        matrix[predicted === 1 ? 'tp' : 'fn']++;
+      } else {
+        matrix[predicted === 1 ? 'fp' : 'tn']++;
+      }
+    });
+    return matrix;
+  },
+  
+  /**
+   * Divide, returning 0 instead of NaN for an empty denominator
+   * @param {number} numerator - Numerator
+   * @param {number} denominator - Denominator
+   * @return {number} Ratio
+   */
+  ratio: function(numerator, denominator) {
+    return denominator > 0 ? numerator / denominator : 0;
+  },
+  
+  /**
+   * Calculate the ROC curve, one point per distinct predicted probability
+   * @param {Array} labels - Observed classes (0 or 1)
+   * @param {Array} probabilities - Predicted probabilities of class 1
+   * @return {Array} Points {threshold, fpr, tpr} from (0, 0) to (1, 1)
+   */
+  rocCurve: function(labels, probabilities) {
+    var self = this;
+    var thresholds = probabilities.filter(function(p, i) {
+      return probabilities.indexOf(p) === i;
+    }).sort(function(a, b) { return b - a; });
+    
+    var points = [{threshold: Infinity, fpr: 0, tpr: 0}];
+    thresholds.forEach(function(threshold) {
+      var matrix = self.confusionMatrix(labels, probabilities, threshold);
+      points.push({
+        threshold: threshold,
+        fpr: self.ratio(matrix.fp, matrix.fp + matrix.tn),
+        tpr: self.ratio(matrix.tp, matrix.tp + matrix.fn)
+      });
+    });
+    return points;
+  },
+  
+  /**
+   * Calculate the area under a ROC curve (trapezoidal rule)
+   * @param {Array} roc - Points returned by rocCurve
+   * @return {number} AUC (0.5 = random, 1 = perfect)
+   */
+  auc: function(roc) {
+    var area = 0;
+    for (var i = 1; i < roc.length; i++) {
+      area += (roc[i].fpr - roc[i - 1].fpr) * (roc[i].tpr + roc[i - 1].tpr) / 2;
+    }
+    return area;
+  },
+  
+  /**
+   * Calculate Cohen's kappa
+   * @param {Object} matrix - Confusion matrix from confusionMatrix
+   * @return {number} Kappa
+   */
+  kappa: function(matrix) {
+    var n = matrix.tp + matrix.fp + matrix.tn + matrix.fn;
+    var observed = this.ratio(matrix.tp + matrix.tn, n);
+    var expected = this.ratio((matrix.tp + matrix.fp) * (matrix.tp + matrix.fn) +
+                              (matrix.tn + matrix.fn) * (matrix.tn + matrix.fp), n * n);
+    return expected < 1 ? (observed - expected) / (1 - expected) : 0;
+  },
+  
+  /**
+   * Calculate precision, recall and F1 for one class
+   * @param {number} truePositive - Samples of the class predicted as the class
+   * @param {number} falsePositive - Samples of the other class predicted as the class
+   * @param {number} falseNegative - Samples of the class predicted as the other class
+   * @return {Object} precision, recall and f1
+   */
+  classMetrics: function(truePositive, falsePositive, falseNegative) {
+    var precision = this.ratio(truePositive, truePositive + falsePositive);
+    var recall = this.ratio(truePositive, truePositive + falseNegative);
+    return {
+      precision: precision,
+      recall: recall,
+      f1: this.ratio(2 * precision * recall, precision + recall)
+    };
+  },
+  
+  /**
+   * Select a probability threshold from a ROC curve
+   * @param {Array} roc - Points returned by rocCurve
+   * @param {string} method - 'maxTSS' (maximise sensitivity + specificity - 1),
+   *   'equalSensSpec' (sensitivity closest to specificity) or 'fixed'
+   * @param {number} value - Threshold for 'fixed', and the fallback when the curve has no points
+   * @return {number} Threshold
+   */
+  selectThreshold: function(roc, method, value) {
+    if (method === 'fixed') {
+      return value;
+    }
+    if (method !== 'maxTSS' && method !== 'equalSensSpec') {
+      throw new Error('Unknown threshold selection method: ' + method);
+    }
+    
+    var best = value;
+    var bestScore = -Infinity;
+    roc.forEach(function(point) {
+      if (!isFinite(point.threshold)) {
+        return;
+      }
+      var score = method === 'maxTSS' ? point.tpr - point.fpr : -Math.abs(point.tpr - (1 - point.fpr));
+      if (score > bestScore) {
+        bestScore = score;
+        best = point.threshold;
+      }
+    });
+    return best;
+  },
+  
+  /**
+   * Calculate all metrics
+   * @param {Array} labels - Observed classes (0 or 1)
+   * @param {Array} probabilities - Predicted probabilities of class 1
+   * @param {number} threshold - Classification threshold (defaults to 0.5)
+   * @return {Object} Metrics object
+   */
+  evaluate: function(labels, probabilities, threshold) {
+    threshold = threshold === undefined ? 0.5 : threshold;
+    var matrix = this.confusionMatrix(labels, probabilities, threshold);
+    var n = labels.length;
+    var presence = this.classMetrics(matrix.tp, matrix.fp, matrix.fn);
+    var absence = this.classMetrics(matrix.tn, matrix.fn, matrix.fp);
+    var roc = this.rocCurve(labels, probabilities);
+    
+    return {
+      threshold: threshold,
+      n: n,
+      confusionMatrix: matrix,
+      accuracy: this.ratio(matrix.tp + matrix.tn, n),
+      kappa: this.kappa(matrix),
+      auc: this.auc(roc),
+      roc: roc,
+      // True Skill Statistic = sensitivity + specificity - 1
+      tss: presence.recall + absence.recall - 1,
+      perClass: {0: absence, 1: presence}
     };
   }
-},
+};
+
+
+// ===== 3. Task Queue Module =====
+
+/**
+ * Runs asynchronous UI work as jobs. Each lane runs one job at a time in
+ * submission order; submitting a job with a key cancels the earlier jobs with
+ * that key, so stale results never reach the map or the panels
+ */
+var TaskQueue = {
+  nextId: 1,
+  lanes: {},
+  listeners: [],
+  
+  /**
+   * Register a listener for job events
+   * @param {Function} listener - Called with (event, job, error); event is 'queued',
+   *   'started', 'progress', 'done', 'failed' or 'cancelled'
+   */
+  subscribe: function(listener) {
+    this.listeners.push(listener);
+  },
+  
+  /**
+   * Notify listeners of a job event
+   * @param {string} event - Event name
+   * @param {Object} job - Job the event belongs to
+   * @param {Object} error - Error of a failed job
+   */
+  emit: function(event, job, error) {
+    this.listeners.forEach(function(listener) {
+      listener(event, job, error);
+    });
+  },
+  
+  /**
+   * Queue a job
+   * @param {Object} options - name, key (jobs sharing a key replace each other),
+   *   lane ('main' by default), message (initial progress text), run (called with
+   *   the job once it starts) and onError (called with the error if the job fails)
+   * @return {Object} Job, whose progress, defer, evaluate, done and fail methods
+   *   do nothing once it has been cancelled
+   */
+  submit: function(options) {
+    var self = this;
+    var job = {
+      id: this.nextId++,
+      name: options.name,
+      key: options.key || null,
+      lane: options.lane || 'main',
+      message: options.message || options.name,
+      status: 'queued',
+      run: options.run,
+      onError: options.onError || null,
+      
+      isActive: function() {
+        return job.status === 'running';
+      },
+      
+      progress: function(message) {
+        if (!job.isActive()) return;
+        job.message = message;
+        self.emit('progress', job);
+      },
+      
+      // Continue the job on a later tick so the UI can redraw
+      defer: function(callback) {
+        var guarded = self.guard(job, callback);
+        ui.util.setTimeout(function() {
+          guarded();
+        }, 0);
+      },
+      
+      // Fetch an Earth Engine object; evaluation errors fail the job
+      evaluate: function(object, callback) {
+        var guarded = self.guard(job, callback);
+        object.evaluate(function(result, error) {
+          if (!job.isActive()) return;
+          if (error) {
+            job.fail(error);
+            return;
+          }
+          guarded(result);
+        });
+      },
+      
+      done: function() {
+        self.settle(job, 'done');
+      },
+      
+      fail: function(error) {
+        self.settle(job, 'failed', error);
+      }
+    };
+    
+    if (job.key) {
+      this.cancel(job.key);
+    }
+    this.getLane(job.lane).push(job);
+    this.emit('queued', job);
+    this.next(job.lane);
+    return job;
+  },
+  
+  /**
+   * Get the jobs of a lane, running job first
+   * @param {string} lane - Lane name
+   * @return {Array} Jobs
+   */
+  getLane: function(lane) {
+    if (!this.lanes[lane]) {
+      this.lanes[lane] = [];
+    }
+    return this.lanes[lane];
+  },
+  
+  /**
+   * Check whether a lane has running or queued jobs
+   * @param {string} lane - Lane name
+   * @return {boolean} Whether the lane is busy
+   */
+  isBusy: function(lane) {
+    return this.getLane(lane).length > 0;
+  },
+  
+  /**
+   * Wrap a callback so it only runs while the job is running, failing the job
+   * if the callback throws
+   * @param {Object} job - Job
+   * @param {Function} callback - Callback
+   * @return {Function} Guarded callback
+   */
+  guard: function(job, callback) {
+    return function(value) {
+      if (!job.isActive()) return;
+      try {
+        callback(value);
+      } catch (error) {
+        job.fail(error);
+      }
+    };
+  },
+  
+  /**
+   * Start the next job of a lane if none is running
+   * @param {string} lane - Lane name
+   */
+  next: function(lane) {
+    var jobs = this.getLane(lane);
+    if (jobs.length === 0 || jobs[0].status === 'running') return;
+    
+    var job = jobs[0];
+    job.status = 'running';
+    this.emit('started', job);
+    job.defer(function() {
+      job.run(job);
+    });
+  },
+  
+  /**
+   * Finish a job and start the next one in its lane
+   * @param {Object} job - Job
+   * @param {string} status - 'done', 'failed' or 'cancelled'
+   * @param {Object} error - Error of a failed job
+   */
+  settle: function(job, status, error) {
+    if (job.status !== 'queued' && job.status !== 'running') return;
+    
+    var jobs = this.getLane(job.lane);
+    jobs.splice(jobs.indexOf(job), 1);
+    job.status = status;
+    
+    if (status === 'failed') {
+      print('Job ' + job.id + ' (' + job.name + ') failed: ' + this.errorMessage(error));
+      if (job.onError) {
+        job.onError(error);
+      }
+    }
+    this.emit(status, job, error);
+    this.next(job.lane);
+  },
+  
+  /**
+   * Cancel the running and queued jobs with a key
+   * @param {string} key - Job key
+   */
+  cancel: function(key) {
+    var self = this;
+    Object.keys(this.lanes).forEach(function(lane) {
+      self.getLane(lane).filter(function(job) {
+        return job.key === key;
+      }).forEach(function(job) {
+        self.settle(job, 'cancelled');
+      });
+    });
+  },
+  
+  /**
+   * Cancel every job, e.g. when the page the jobs draw on is replaced
+   */
+  cancelAll: function() {
+    var self = this;
+    Object.keys(this.lanes).forEach(function(lane) {
+      self.getLane(lane).slice().forEach(function(job) {
+        self.settle(job, 'cancelled');
+      });
+    });
+  },
+  
+  /**
+   * Get a readable message from an Earth Engine error string or an Error
+   * @param {Object} error - Error
+   * @return {string} Message
+   */
+  errorMessage: function(error) {
+    return error && error.message ? error.message : String(error);
+  }
+};
+
+// ===== 4. Layer Manager Module =====
+
+/**
+ * Owns the layers of one map by id. Layers keep their place in the z-order
+ * when their content is replaced, and defined layers keep their visibility,
+ * opacity and legend entry while they have no content
+ */
+var LayerManager = {
+  map: null,
+  entries: {},
+  nextOrder: 0,
+  
+  /**
+   * Manage a new map; layers of the previous map are forgotten
+   * @param {ui.Map} map - Map whose layers are managed
+   */
+  attach: function(map) {
+    this.map = map;
+    this.entries = {};
+    this.nextOrder = 0;
+  },
+  
+  /**
+   * Get or create the entry of a layer id
+   * @param {string} id - Layer id
+   * @return {Object} Entry
+   */
+  getEntry: function(id) {
+    if (!this.entries[id]) {
+      this.entries[id] = {
+        id: id,
+        zIndex: 0,
+        order: this.nextOrder++,
+        shown: true,
+        opacity: undefined,
+        legend: null,
+        layer: null
+      };
+    }
+    return this.entries[id];
+  },
+  
+  /**
+   * Define a layer before it has content, e.g. for a legend row with a toggle
+   * @param {string} id - Layer id
+   * @param {Object} options - zIndex (higher is drawn on top), shown, opacity and
+   *   legend ({label, color, classes})
+   */
+  define: function(id, options) {
+    var entry = this.getEntry(id);
+    ['zIndex', 'shown', 'opacity', 'legend'].forEach(function(key) {
+      if (options[key] !== undefined) {
+        entry[key] = options[key];
+      }
+    });
+  },
+  
+  /**
+   * Add a layer, or replace the content of the layer with this id in place
+   * @param {string} id - Layer id
+   * @param {Object} object - Earth Engine object to draw
+   * @param {Object} visParams - Visualisation parameters
+   * @param {string} name - Name shown in the map's layer list
+   * @param {Object} options - Optional settings passed to define for a new id
+   * @return {ui.Map.Layer} Layer
+   */
+  set: function(id, object, visParams, name, options) {
+    var isNew = !this.entries[id];
+    var entry = this.getEntry(id);
+    if (isNew && options) {
+      this.define(id, options);
+    }
+    
+    if (entry.layer) {
+      entry.layer.setEeObject(object);
+      entry.layer.setVisParams(visParams || {});
+      entry.layer.setName(name);
+      return entry.layer;
+    }
+    
+    entry.layer = ui.Map.Layer(object, visParams || {}, name, entry.shown, entry.opacity);
+    this.map.layers().insert(this.zPosition(entry), entry.layer);
+    return entry.layer;
+  },
+  
+  /**
+   * Position of an entry among the drawn layers, ordered by zIndex and then by
+   * the order the ids were first used
+   * @param {Object} entry - Entry
+   * @return {number} Index in the map's layer list
+   */
+  zPosition: function(entry) {
+    var entries = this.entries;
+    return Object.keys(entries).filter(function(id) {
+      var other = entries[id];
+      return other !== entry && other.layer &&
+             (other.zIndex < entry.zIndex || (other.zIndex === entry.zIndex && other.order < entry.order));
+    }).length;
+  },
+  
+  /**
+   * Remove a layer's content from the map; defined layers keep their settings
+   * @param {string} id - Layer id
+   */
+  remove: function(id) {
+    var entry = this.entries[id];
+    if (!entry) return;
+    if (entry.layer) {
+      this.map.layers().remove(entry.layer);
+      entry.layer = null;
+    }
+    if (!entry.legend) {
+      delete this.entries[id];
+    }
+  },
+  
+  /**
+   * Remove every layer whose id starts with a prefix
+   * @param {string} prefix - Id prefix, e.g. 'region2/'
+   */
+  removeGroup: function(prefix) {
+    var self = this;
+    Object.keys(this.entries).filter(function(id) {
+      return id.indexOf(prefix) === 0;
+    }).forEach(function(id) {
+      self.remove(id);
+    });
+  },
+  
+  /**
+   * Show or hide a layer without recomputing it
+   * @param {string} id - Layer id
+   * @param {boolean} shown - Whether the layer is shown
+   */
+  setShown: function(id, shown) {
+    var entry = this.getEntry(id);
+    entry.shown = shown;
+    if (entry.layer) {
+      entry.layer.setShown(shown);
+    }
+  },
+  
+  /**
+   * Change a layer's opacity
+   * @param {string} id - Layer id
+   * @param {number} opacity - Opacity between 0 and 1
+   */
+  setOpacity: function(id, opacity) {
+    var entry = this.getEntry(id);
+    entry.opacity = opacity;
+    if (entry.layer) {
+      entry.layer.setOpacity(opacity);
+    }
+  },
+  
+  /**
+   * Legend entries of the defined layers, in the order they were defined
+   * @return {Array} Objects with id, shown and the legend's label, color and classes
+   */
+  legend: function() {
+    var entries = this.entries;
+    return Object.keys(entries).map(function(id) {
+      return entries[id];
+    }).filter(function(entry) {
+      return entry.legend;
+    }).sort(function(a, b) {
+      return a.order - b.order;
+    }).map(function(entry) {
+      return {
+        id: entry.id,
+        shown: entry.shown,
+        label: entry.legend.label,
+        color: entry.legend.color,
+        classes: entry.legend.classes || null
+      };
+    });
+  }
+};
+
+
+
+
+
+// =========== Part 1: Global Variable Declaration ===========
+var mapPanel = null;
+var controlPanel = null;
+var countyInput = null;
+var yearSlider = null;
+var startYearInput = null;
+var endYearInput = null;
+var chartPanel = null;
+var yearInputPanel = null;
+var futureInputPanel = null;
+var scenarioSelect = null;
+var futureYearSelect = null;
+var loadingLabel = null;
+var bgLoadingLabel = null;
+var noticeTimer = null;
+var GENERIC_VARIETY = 'All Varieties (Generic)';
+var SCORING_MODES = {
+  'Binary Mask': null,
+  'Trapezoid (Weighted Mean)': {membership: 'trapezoid', combine: 'weighted'},
+  'Trapezoid (Geometric Mean)': {membership: 'trapezoid', combine: 'geometric'},
+  'Gaussian (Weighted Mean)': {membership: 'gaussian', combine: 'weighted'},
+  'Gaussian (Geometric Mean)': {membership: 'gaussian', combine: 'geometric'}
+};
+
+// Application state. Widgets change it only through the actions below and
+// redraw from it in the subscribers, so no widget writes shared variables
+var AppState = {
+  state: null,
+  listeners: [],
+  
+  // State keys passed to GrapeML.configure, kept when the analysis page is reset
+  settingKeys: [
+    'profile', 'classifier', 'mlFeatures', 'mlScope', 'pseudoAbsence', 'crossValidation',
+    'thresholdSelection', 'climateSource', 'landCoverExclusion'
+  ],
+  
+  /**
+   * Default state of the analysis page
+   * @return {Object} State
+   */
+  initialState: function() {
+    return {
+      page: 'home',
+      view: 'loading',
+      countyName: 'Kent',
+      variety: GENERIC_VARIETY,
+      profile: GrapeML.activeProfile,
+      classifier: GrapeML.activeClassifier,
+      mlFeatures: GrapeML.mlFeatures.slice(),
+      mlScope: GrapeML.mlScope,
+      pseudoAbsence: {
+        strategy: GrapeML.pseudoAbsence.strategy,
+        ratio: GrapeML.pseudoAbsence.ratio
+      },
+      crossValidation: {
+        folds: GrapeML.crossValidation.folds,
+        blocking: GrapeML.crossValidation.blocking
+      },
+      thresholdSelection: {
+        method: GrapeML.thresholdSelection.method,
+        value: GrapeML.thresholdSelection.value
+      },
+      climateSource: GrapeML.climateSource,
+      landCoverExclusion: GrapeML.mergeLandCoverExclusion(GrapeML.landCoverExclusion, {}),
+      scoring: 'Binary Mask',
+      excludeFrost: false,
+      requireSouthFacing: false,
+      excludeLandCover: true,
+      viewMode: 'Single Year',
+      year: 2023,
+      yearRange: null,
+      projection: {scenario: 'ssp245', year: 2040},
+      viewport: null,
+      regionNames: [],
+      suitableNames: [],
+      unsuitableNames: [],
+      unsuitableGeoms: [],
+      regionsLoaded: false,
+      layers: {
+        region: true,
+        suitability: true,
+        vineyards: true,
+        winkler: false,
+        huglin: false,
+        frost: false,
+        excluded: false
+      }
+    };
+  },
+  
+  /**
+   * Register a listener for state changes
+   * @param {Function} listener - Called with (action, state, changes) after every action
+   */
+  subscribe: function(listener) {
+    this.listeners.push(listener);
+  },
+  
+  /**
+   * Apply an action's changes and notify the listeners
+   * @param {string} action - Action name
+   * @param {Object} changes - State keys and their new values
+   */
+  commit: function(action, changes) {
+    var state = this.state;
+    Object.keys(changes).forEach(function(key) {
+      state[key] = changes[key];
+    });
+    this.listeners.forEach(function(listener) {
+      listener(action, state, changes);
+    });
+  },
+  
+  /**
+   * Switch to a page
+   * @param {string} page - 'home', 'grapeAnalysis' or 'regionalComparison'
+   */
+  setPage: function(page) {
+    this.commit('setPage', {page: page});
+  },
+  
+  /**
+   * Reset the analysis page for a new list of regions, starting with Kent
+   * @param {Array} regionNames - Names of all level 2 regions
+   * @param {Object} link - Optional view read from the URL by readUrlState
+   */
+  startAnalysis: function(regionNames, link) {
+    var state = this.initialState();
+    var current = this.state;
+    this.settingKeys.forEach(function(key) {
+      state[key] = current[key];
+    });
+    state.page = 'grapeAnalysis';
+    state.regionNames = regionNames;
+    state.countyName = regionNames.indexOf('Kent') !== -1 ? 'Kent' : regionNames[0];
+    if (link) {
+      if (regionNames.indexOf(link.county) !== -1) {
+        state.countyName = link.county;
+      }
+      ['viewMode', 'year', 'yearRange', 'projection', 'viewport'].forEach(function(key) {
+        if (link[key]) {
+          state[key] = link[key];
+        }
+      });
+      if (link.layers) {
+        Object.keys(state.layers).forEach(function(layer) {
+          state.layers[layer] = link.layers.indexOf(layer) !== -1;
+        });
+      }
+    }
+    this.commit('startAnalysis', state);
+  },
+  
+  /**
+   * Record whether a loaded region has any suitable area
+   * @param {string} name - Region name
+   * @param {ee.Geometry} geometry - Region geometry
+   * @param {boolean} hasArea - Whether the region has suitable area
+   */
+  addRegionResult: function(name, geometry, hasArea) {
+    if (hasArea) {
+      this.commit('addRegionResult', {suitableNames: this.state.suitableNames.concat([name])});
+    } else {
+      this.commit('addRegionResult', {
+        unsuitableNames: this.state.unsuitableNames.concat([name]),
+        unsuitableGeoms: this.state.unsuitableGeoms.concat([geometry])
+      });
+    }
+  },
+  
+  /**
+   * Mark the background region loading as finished
+   */
+  finishRegionLoading: function() {
+    this.commit('finishRegionLoading', {regionsLoaded: true});
+  },
+  
+  /**
+   * Show the main panel or the region table
+   * @param {string} view - 'main' or 'table'
+   */
+  setView: function(view) {
+    this.commit('setView', {view: view});
+  },
+  
+  /**
+   * Select a region and return to the main panel
+   * @param {string} name - Region name, or 'Unsuitable for 3 Years'
+   */
+  selectCounty: function(name) {
+    this.commit('selectCounty', {countyName: name, view: 'main'});
+  },
+  
+  /**
+   * Select a grape variety
+   * @param {string} name - Variety name or GENERIC_VARIETY
+   */
+  setVariety: function(name) {
+    this.commit('setVariety', {variety: name});
+  },
+  
+  /**
+   * Select the threshold profile used when no variety is selected
+   * @param {string} name - Key of GrapeML.thresholdProfiles
+   */
+  setProfile: function(name) {
+    GrapeML.getThresholdProfile(name);
+    this.commit('setProfile', {profile: name});
+  },
+  
+  /**
+   * Select a scoring mode
+   * @param {string} mode - Key of SCORING_MODES
+   */
+  setScoring: function(mode) {
+    this.commit('setScoring', {scoring: mode});
+  },
+  
+  /**
+   * Switch the frost-risk exclusion rule
+   * @param {boolean} enabled - Whether frost-risk areas are excluded
+   */
+  setExcludeFrost: function(enabled) {
+    this.commit('setExcludeFrost', {excludeFrost: enabled});
+  },
+  
+  /**
+   * Switch the aspect rule
+   * @param {boolean} enabled - Whether SE-SW facing slopes are required
+   */
+  setRequireSouthFacing: function(enabled) {
+    this.commit('setRequireSouthFacing', {requireSouthFacing: enabled});
+  },
+  
+  /**
+   * Switch land-cover exclusion
+   * @param {boolean} enabled - Whether excluded land cover is removed
+   */
+  setExcludeLandCover: function(enabled) {
+    this.commit('setExcludeLandCover', {excludeLandCover: enabled});
+  },
+  
+  /**
+   * Change the land-cover exclusion settings
+   * @param {Object} settings - Any of product, excludedClasses and excludeProtected
+   */
+  setExclusionSettings: function(settings) {
+    this.commit('setExclusionSettings', {
+      landCoverExclusion: GrapeML.mergeLandCoverExclusion(this.state.landCoverExclusion, settings)
+    });
+  },
+  
+  /**
+   * Select the climate source
+   * @param {string} key - Registered climate source key
+   */
+  setClimateSource: function(key) {
+    GrapeML.getClimateSource(key);
+    this.commit('setClimateSource', {climateSource: key});
+  },
   
   /**
-   * Execute complete grape cultivation suitability analysis
-   * @param {ee.Geometry} region - Analysis region
-   * @param {string} year - Analysis year
-   * @return {Object} Analysis result object
+   * Select the classifier trained by the analysis
+   * @param {string|Object} spec - Key of GrapeML.classifiers, or {type, params}
    */
-  analyzeSuitability: function(region, year) {
-    // Load vineyard data
-    var vineyards = ee.FeatureCollection("projects/ee-cesong333/assets/existing_vineyards");
-    
-    // Calculate environmental factors
-    var factors = this.computeEnvironmentalFactors(region, year);
-    
-    // Calculate environmental suitability mask
-    var suitabilityMask = this.computeSuitabilityMask(factors);
-    
-    // Execute machine learning prediction
-    var mlResults = this.runMachineLearning(factors, suitabilityMask, region, vineyards);
-    
-    return {
-      region: region,
-      year: year,
-      factors: factors,
-      suitabilityMask: suitabilityMask,
-      mlResults: mlResults,
-      vineyards: vineyards
-    };
+  setClassifier: function(spec) {
+    GrapeML.getClassifier(spec);
+    this.commit('setClassifier', {classifier: spec});
+  },
+  
+  /**
+   * Change the bands the classifier is trained on
+   * @param {Array} features - Band names from GrapeML.mlFeatures
+   */
+  setModelFeatures: function(features) {
+    this.commit('setModelFeatures', {mlFeatures: features});
+  },
+  
+  /**
+   * Select the training scope
+   * @param {string} scope - 'regional' or 'national'
+   */
+  setModelScope: function(scope) {
+    this.commit('setModelScope', {mlScope: scope});
+  },
+  
+  /**
+   * Change the pseudo-absence sampling settings
+   * @param {Object} settings - Any of strategy and ratio
+   */
+  setPseudoAbsence: function(settings) {
+    this.commit('setPseudoAbsence', {pseudoAbsence: this.mergeSettings('pseudoAbsence', settings)});
+  },
+  
+  /**
+   * Change the spatial block cross-validation settings
+   * @param {Object} settings - Any of folds and blocking
+   */
+  setCrossValidation: function(settings) {
+    this.commit('setCrossValidation', {crossValidation: this.mergeSettings('crossValidation', settings)});
+  },
+  
+  /**
+   * Change how the high suitability threshold is chosen
+   * @param {Object} settings - Any of method and value
+   */
+  setThresholdSelection: function(settings) {
+    this.commit('setThresholdSelection', {thresholdSelection: this.mergeSettings('thresholdSelection', settings)});
+  },
+  
+  /**
+   * Copy of a settings group with some fields changed
+   * @param {string} key - State key of the group
+   * @param {Object} settings - Fields to change
+   * @return {Object} New group; the state is left unchanged
+   */
+  mergeSettings: function(key, settings) {
+    var merged = {};
+    [this.state[key], settings].forEach(function(source) {
+      Object.keys(source).forEach(function(field) {
+        merged[field] = source[field];
+      });
+    });
+    return merged;
+  },
+  
+  /**
+   * Select the view mode
+   * @param {string} mode - 'Single Year', 'Multi-Year' or 'Future'
+   */
+  setViewMode: function(mode) {
+    // Leaving range mode drops the range so it is not restored from a link
+    this.commit('setViewMode', {
+      viewMode: mode,
+      yearRange: mode === 'Multi-Year' ? this.state.yearRange : null
+    });
+  },
+  
+  /**
+   * Show the suitability of one year
+   * @param {number} year - Year between 2010 and 2023
+   */
+  showYear: function(year) {
+    this.commit('showYear', {year: year, yearRange: null});
+  },
+  
+  /**
+   * Show the area that stays suitable over a range of years
+   * @param {number} start - First year
+   * @param {number} end - Last year
+   */
+  showYearRange: function(start, end) {
+    this.commit('showYearRange', {yearRange: {start: start, end: end}});
+  },
+  
+  /**
+   * Show the projected suitability of a CMIP6 scenario
+   * @param {string} scenario - Key of GrapeML.cmip6Scenarios
+   * @param {number} year - Projection year shown on the map
+   */
+  showProjection: function(scenario, year) {
+    this.commit('showProjection', {projection: {scenario: scenario, year: year}});
+  },
+  
+  /**
+   * Record the map viewport
+   * @param {Object} viewport - lon, lat and zoom
+   */
+  setViewport: function(viewport) {
+    this.commit('setViewport', {viewport: viewport});
+  },
+  
+  /**
+   * Show or hide a map layer
+   * @param {string} layer - Key of state.layers
+   * @param {boolean} visible - Whether the layer is shown
+   */
+  setLayerVisible: function(layer, visible) {
+    var layers = {};
+    Object.keys(this.state.layers).forEach(function(key) {
+      layers[key] = this.state.layers[key];
+    }, this);
+    layers[layer] = visible;
+    this.commit('setLayerVisible', {layers: layers});
   }
 };
+AppState.state = AppState.initialState();
 
-
-
-
-// =========== Part 1: Global Variable Declaration ===========
-var mapPanel = null;
-var controlPanel = null;
-var countyInput = null;
-var yearSlider = null;
-var startYearInput = null;
-var endYearInput = null;
-var checkboxSuitability = null;
-var checkboxVineyards = null;
-var checkboxRegion = null;
-var chartPanel = null;
-var yearInputPanel = null;
-var currentRegion = null;
-var currentCountyName = 'Kent';
-var modeSelect = 'Single Year';
-var loadingLabel = null;
-var backgroundLoadingInProgress = false;
-var bgLoadingLabel = null;
+// GrapeML reads its settings from the store, so apply every change before other listeners run
+AppState.subscribe(function(action, state, changes) {
+  GrapeML.configure(changes);
+});
 
 // Load administrative region data - preload in global scope
 var ukLevel2 = ee.FeatureCollection("FAO/GAUL_SIMPLIFIED_500m/2015/level2")
@@ -429,21 +3794,71 @@ var ukLevel2 = ee.FeatureCollection("FAO/GAUL_SIMPLIFIED_500m/2015/level2")
 var UK_boundary = ukLevel2.union();
 
 // Load vineyard data - preload in global scope
-var vineyards = ee.FeatureCollection("projects/ee-cesong333/assets/existing_vineyards");
-
-// Define global variable to store feature page state
-var currentPage = "home";
+var vineyards = ee.FeatureCollection(GrapeML.vineyardsAsset);
 
 // =========== Part 2: Function Definitions ===========
 
 // Define computeMask
-function computeMask(region, year) {
+function computeMask(region, year, profile, source) {
   // Calculate mask
-  var factors = GrapeML.computeEnvironmentalFactors(region, year);
-  var mask = GrapeML.computeSuitabilityMask(factors).rename('mask').clip(region);
+  var factors = GrapeML.computeEnvironmentalFactors(region, year, source);
+  var mask = GrapeML.computeSuitabilityMask(factors, profile).rename('mask').clip(region);
   return mask;
 }
 
+// Define computeScore
+function computeScore(region, year, profile, options, source) {
+  // Calculate continuous suitability score
+  var factors = GrapeML.computeEnvironmentalFactors(region, year, source);
+  var score = GrapeML.computeSuitabilityScore(factors, profile, options).clip(region);
+  return score;
+}
+
+// Threshold profile for the selected grape variety (undefined means the generic active profile)
+function getSelectedProfile() {
+  var state = AppState.state;
+  var profile = state.variety === GENERIC_VARIETY ? undefined : state.variety;
+  var extraRanges = {};
+  if (state.excludeFrost) {
+    extraRanges.frost = GrapeML.frostExclusionRange;
+  }
+  if (state.requireSouthFacing) {
+    extraRanges.aspect = GrapeML.southFacingRange;
+  }
+  if (Object.keys(extraRanges).length > 0) {
+    return GrapeML.extendProfile(profile, extraRanges);
+  }
+  return profile;
+}
+
+// Remove excluded land cover from a suitability mask or score when exclusion is switched on
+function applyExclusion(image, region) {
+  if (!AppState.state.excludeLandCover) {
+    return image;
+  }
+  return GrapeML.applyLandCoverExclusion(image, region);
+}
+
+// Fuzzy scoring options for the selected scoring mode (null means the binary mask)
+function getScoringOptions() {
+  return SCORING_MODES[AppState.state.scoring];
+}
+
+// Visualisation parameters for continuous suitability scores
+function getScoreVisParams() {
+  return {
+    min: 0,
+    max: 1,
+    palette: GrapeML.scoreBands.map(function(band) { return band.color; })
+  };
+}
+
+// Layer name prefix for the selected grape variety
+function getVarietyLabel() {
+  var variety = AppState.state.variety;
+  return variety === GENERIC_VARIETY ? '' : variety + ' ';
+}
+
 // Show loading status
 function showLoading(message) {
   if (loadingLabel) {
@@ -505,8 +3920,195 @@ function hideLoading() {
   }
 }
 
+// Show a short message in the loading bar, then restore the running job's progress
+function showNotice(message) {
+  showLoading(message);
+  if (noticeTimer !== null) {
+    ui.util.clearTimeout(noticeTimer);
+  }
+  noticeTimer = ui.util.setTimeout(function() {
+    noticeTimer = null;
+    var running = getForegroundJob();
+    if (running) {
+      showLoading(running.message);
+    } else {
+      hideLoading();
+    }
+  }, 3000);
+}
+
+// Lanes sharing the main loading indicator; charts have their own lane so
+// map updates do not wait for a time series to finish
+var FOREGROUND_LANES = ['main', 'chart'];
+
+// Running foreground job, if any
+function getForegroundJob() {
+  for (var i = 0; i < FOREGROUND_LANES.length; i++) {
+    var running = TaskQueue.getLane(FOREGROUND_LANES[i])[0];
+    if (running) {
+      return running;
+    }
+  }
+  return null;
+}
+
+// Drive the loading indicators from the task queue
+TaskQueue.subscribe(function(event, job, error) {
+  if (job.lane === 'background') {
+    if (event === 'started' || event === 'progress') {
+      showBackgroundLoading(job.message);
+    } else if (event !== 'queued' && !TaskQueue.isBusy('background')) {
+      hideBackgroundLoading();
+    }
+    return;
+  }
+  
+  if (event === 'started' || event === 'progress') {
+    showLoading(job.message);
+  } else if (event === 'failed') {
+    showNotice(job.name + ' failed: ' + TaskQueue.errorMessage(error));
+  } else if (event !== 'queued') {
+    var running = getForegroundJob();
+    if (running) {
+      showLoading(running.message);
+    } else {
+      hideLoading();
+    }
+  }
+});
+
+// Read the view encoded in the URL hash by writeUrlState
+function readUrlState() {
+  var viewMode = String(ui.url.get('mode', 'Single Year'));
+  var year = Number(ui.url.get('year', 2023));
+  var link = {
+    page: String(ui.url.get('page', 'home')),
+    county: String(ui.url.get('county', '')),
+    viewMode: ['Single Year', 'Multi-Year', 'Future'].indexOf(viewMode) !== -1 ? viewMode : 'Single Year',
+    year: year >= 2010 && year <= 2023 ? year : 2023,
+    yearRange: null,
+    projection: null,
+    layers: null,
+    viewport: null
+  };
+  
+  var start = Number(ui.url.get('from', NaN));
+  var end = Number(ui.url.get('to', NaN));
+  if (start >= 2010 && end <= 2023 && start < end) {
+    link.yearRange = {start: start, end: end};
+  }
+  
+  var scenario = String(ui.url.get('scenario', ''));
+  var futureYear = Number(ui.url.get('future', 2040));
+  if (GrapeML.cmip6Scenarios[scenario]) {
+    link.projection = {
+      scenario: scenario,
+      year: PROJECTION_MAP_YEARS.indexOf(futureYear) !== -1 ? futureYear : 2040
+    };
+  }
+  
+  var layers = ui.url.get('layers', null);
+  if (layers !== null) {
+    link.layers = String(layers).split(',');
+  }
+  
+  var lon = Number(ui.url.get('lon', NaN));
+  var lat = Number(ui.url.get('lat', NaN));
+  var zoom = Number(ui.url.get('zoom', NaN));
+  if (!isNaN(lon) && !isNaN(lat) && !isNaN(zoom)) {
+    link.viewport = {lon: lon, lat: lat, zoom: zoom};
+  }
+  
+  return link;
+}
+
+// Mirror the page, region, period, layers and viewport in the URL hash so a copied link reopens the same view
+function writeUrlState(action, state) {
+  if (action === 'addRegionResult') return;
+  
+  ui.url.set('page', state.page);
+  
+  if (state.page === 'grapeAnalysis') {
+    ui.url.set('county', state.countyName);
+    ui.url.set('mode', state.viewMode);
+    ui.url.set('year', state.year);
+    // An empty range reads back as no range
+    ui.url.set('from', state.yearRange ? state.yearRange.start : '');
+    ui.url.set('to', state.yearRange ? state.yearRange.end : '');
+    ui.url.set('scenario', state.projection.scenario);
+    ui.url.set('future', state.projection.year);
+    ui.url.set('layers', Object.keys(state.layers).filter(function(layer) {
+      return state.layers[layer];
+    }).join(','));
+  }
+  
+  if (state.viewport) {
+    ui.url.set('lon', state.viewport.lon);
+    ui.url.set('lat', state.viewport.lat);
+    ui.url.set('zoom', state.viewport.zoom);
+  }
+}
+
+AppState.subscribe(writeUrlState);
+
+// Record the viewport of a map in the application state while the user pans and zooms
+function trackViewport(map) {
+  var viewport = {lon: null, lat: null, zoom: map.getZoom()};
+  var record = ui.util.debounce(function() {
+    if (viewport.lon === null || viewport.zoom === undefined) return;
+    AppState.setViewport({
+      lon: Math.round(viewport.lon * 1e4) / 1e4,
+      lat: Math.round(viewport.lat * 1e4) / 1e4,
+      zoom: viewport.zoom
+    });
+  }, 500);
+  
+  map.onChangeCenter(function(center) {
+    viewport.lon = center.lon;
+    viewport.lat = center.lat;
+    record();
+  });
+  map.onChangeZoom(function(zoom) {
+    viewport.zoom = Number(zoom);
+    record();
+  });
+}
+
+// Move a map to a viewport read from the URL
+function restoreViewport(map, viewport) {
+  if (viewport) {
+    map.setCenter(viewport.lon, viewport.lat, viewport.zoom);
+  }
+}
+
+// Open the page encoded in the URL, or the home page
+function openLinkedPage(link) {
+  if (link.page === 'grapeAnalysis') {
+    startGrapeAnalysis(link);
+  } else if (link.page === 'regionalComparison') {
+    startRegionalComparison(link);
+  } else {
+    createHomePage();
+  }
+}
+
 // Utility functions 
-function computeArea(mask, region) {
+function computeArea(mask, region, bands) {
+  // Report area per score band for continuous scores
+  if (bands) {
+    var bandImages = bands.map(function(band, index) {
+      var upper = index === bands.length - 1 ? mask.lte(band.max) : mask.lt(band.max);
+      return mask.gte(band.min).and(upper).rename(band.label);
+    });
+    return ee.Image.cat(bandImages).multiply(ee.Image.pixelArea())
+      .reduceRegion({
+        reducer: ee.Reducer.sum(), 
+        geometry: region, 
+        scale: 250, 
+        maxPixels: 1e10
+      });
+  }
+  
   // Calculate area
   var area = mask.multiply(ee.Image.pixelArea())
     .reduceRegion({
@@ -523,7 +4125,7 @@ function computeArea(mask, region) {
 function getRegionGeometry(name) {
   var geom;
   if (name === 'Unsuitable for 3 Years') {
-    geom = ee.FeatureCollection(unsuitableGeomsList.map(function(g) {
+    geom = ee.FeatureCollection(AppState.state.unsuitableGeoms.map(function(g) {
       return ee.Feature(g);
     })).union().first().geometry();
   } else {
@@ -533,6 +4135,63 @@ function getRegionGeometry(name) {
   return geom;
 }
 
+// Geometry of the selected region
+function getCurrentRegion() {
+  return getRegionGeometry(AppState.state.countyName);
+}
+
+// Set the Winkler region, Huglin class, frost risk and excluded land layers; unticked ones stay hidden
+function addFactorLayers(region, year) {
+  var winklerClasses = GrapeML.classifyIndex(GrapeML.computeWinkler(String(year)), GrapeML.winklerClasses).clip(region);
+  LayerManager.set('winkler', winklerClasses, GrapeML.getClassVisParams(GrapeML.winklerClasses), 'Winkler Regions ' + year);
+  
+  var huglinClasses = GrapeML.classifyIndex(GrapeML.computeHuglin(String(year)), GrapeML.huglinClasses).clip(region);
+  LayerManager.set('huglin', huglinClasses, GrapeML.getClassVisParams(GrapeML.huglinClasses), 'Huglin Classes ' + year);
+  
+  var frostRisk = GrapeML.computeFrostRisk(String(year)).select('frostRisk');
+  var frostClasses = GrapeML.classifyIndex(frostRisk, GrapeML.frostRiskClasses).clip(region);
+  LayerManager.set('frost', frostClasses.selfMask(), GrapeML.getClassVisParams(GrapeML.frostRiskClasses), 'Frost Risk ' + year);
+  
+  LayerManager.set('excluded', GrapeML.computeLandCoverExclusion(region).selfMask(), {
+    palette: ['#616161'],
+    opacity: 0.6
+  }, 'Excluded Land');
+}
+
+// Remove the observed-year factor layers from views that do not show a single year
+function removeFactorLayers() {
+  ['winkler', 'huglin', 'frost'].forEach(function(id) {
+    LayerManager.remove(id);
+  });
+}
+
+// Set the region boundary and vineyard layers shown in every view
+function setBaseLayers(region) {
+  LayerManager.set('region', region, {
+    color: 'orange',
+    fillColor: '00000000',
+    width: 2
+  }, 'Selected Region');
+  
+  LayerManager.set('vineyards', vineyards.filterBounds(region), {
+    color: 'purple',
+    width: 2,
+    fillColor: '800080AA'
+  }, 'Vineyards (2023)');
+}
+
+// Helper function to create a panel of class legend rows
+function createClassLegend(classes) {
+  var legend = ui.Panel({
+    layout: ui.Panel.Layout.flow('vertical'),
+    style: {margin: '0 0 4px 32px'}
+  });
+  classes.forEach(function(cls) {
+    legend.add(createLegendRow(cls.color, GrapeML.formatClassLabel(cls)));
+  });
+  return legend;
+}
+
 // Helper function to create legend row
 function createLegendRow(color, label) {
   var row = ui.Panel({
@@ -558,8 +4217,10 @@ function createLegendRow(color, label) {
 
 // Create main page
 function createHomePage() {
+  // Jobs of the page being left would draw on widgets that no longer exist
+  TaskQueue.cancelAll();
   ui.root.clear();
-  currentPage = "home";
+  AppState.setPage('home');
   
   // Create a panel to hold all content
   var mainPanel = ui.Panel({
@@ -744,19 +4405,25 @@ function createHomePage() {
 
 // =========== Part 4: Grape Cultivation Suitability Analysis Page ===========
 
-// Client-side processing of county list
-var regionNamesRaw = [];
-var suitableNames = [];
-var unsuitableNames = [];
-var unsuitableGeomsList = [];
-var finalRegionNames = [];
+// Layers of the analysis map, in legend order; zIndex sets the drawing order
+var ANALYSIS_LAYERS = [
+  {id: 'region', zIndex: 0, legend: {label: 'Region Boundary', color: 'orange'}},
+  {id: 'suitability', zIndex: 10, legend: {label: 'Suitable Planting Areas', color: '#00FF00'}},
+  {id: 'vineyards', zIndex: 30, legend: {label: 'Existing Vineyards (2023)', color: 'purple'}},
+  {id: 'winkler', zIndex: 20, legend: {label: 'Winkler Regions', color: '#74ADD1', classes: GrapeML.winklerClasses}},
+  {id: 'huglin', zIndex: 21, legend: {label: 'Huglin Classes', color: '#FDAE61', classes: GrapeML.huglinClasses}},
+  {id: 'frost', zIndex: 22, legend: {label: 'Frost Risk (spring/autumn, cold-air pooling)', color: '#6BAED6',
+                                     classes: GrapeML.frostRiskClasses.slice(1)}},
+  {id: 'excluded', zIndex: 23, legend: {label: 'Excluded Land (land cover, protected areas)', color: '#616161'}}
+];
 
-// Start grape cultivation suitability analysis
-function startGrapeAnalysis() {
+// Start grape cultivation suitability analysis, optionally in the view of a deep link
+function startGrapeAnalysis(link) {
   // Switch to analysis page
-  currentPage = "grapeAnalysis";
+  AppState.setPage('grapeAnalysis');
   
   // Clear current UI
+  TaskQueue.cancelAll();
   ui.root.clear();
   
   // Create map panel (full screen effect)
@@ -769,7 +4436,7 @@ function startGrapeAnalysis() {
     fullscreenControl: true
   });
   mapPanel.style().set({position: 'top-left', width: '100%', height: '100%'});
-  
+  trackViewport(mapPanel);
 
   // Create control panel (wide version)
   controlPanel = ui.Panel({
@@ -802,28 +4469,32 @@ function startGrapeAnalysis() {
     padding: '10px'
   }));
   
-  // Preload region names
-  regionNamesRaw = ukLevel2.aggregate_array('ADM2_NAME').getInfo();
+  // Preload region names and reset data
+  AppState.startAnalysis(ukLevel2.aggregate_array('ADM2_NAME').getInfo(), link);
   
-  // Reset data
-  suitableNames = [];
-  unsuitableNames = [];
-  unsuitableGeomsList = [];
-  finalRegionNames = [];
-  currentCountyName = 'Kent';
+  // Register the map layers with the visibility of the state's layer toggles
+  LayerManager.attach(mapPanel);
+  ANALYSIS_LAYERS.forEach(function(layer) {
+    LayerManager.define(layer.id, {
+      zIndex: layer.zIndex,
+      shown: AppState.state.layers[layer.id],
+      legend: layer.legend
+    });
+  });
   
   // Start initialization process
-  initializeRegions();
+  initializeRegions(link);
 }
 
 // =========== Part 5: Regional Comparison Function (Module 3) ===========
 
-// Start regional comparison analysis
-function startRegionalComparison() {
+// Start regional comparison analysis, optionally at the viewport of a deep link
+function startRegionalComparison(link) {
   // Switch to regional comparison page
-  currentPage = "regionalComparison";
+  AppState.setPage('regionalComparison');
   
   // Clear current UI
+  TaskQueue.cancelAll();
   ui.root.clear();
   // Create map panel
   mapPanel = ui.Map();
@@ -863,12 +4534,28 @@ function startRegionalComparison() {
   // Load regional comparison module
   var module3Panel = createModule3();
   controlPanel.add(module3Panel);
+  
+  trackViewport(mapPanel);
+  restoreViewport(mapPanel, link && link.viewport);
 }
 
 
 // Add London coordinates
 var LONDON_CENTER = ee.Geometry.Point([0.1278, 51.5074]);
 
+// Prediction uncertainty, stretched to the range of each method (see GrapeML.uncertainty)
+var UNCERTAINTY_VIS = {min: 0, max: 0.5, palette: ['#F2F0F7', '#6A51A3'], opacity: 0.7};
+var UNCERTAINTY_MAX = {bootstrap: 0.5, binomial: 0.25};
+
+// Display names of GrapeML.pseudoAbsenceStrategies
+var PSEUDO_ABSENCE_LABELS = {
+  ruleMask: 'Outside rule-based mask',
+  random: 'Random background',
+  buffered: 'Buffered (> ' + GrapeML.pseudoAbsence.bufferDistance / 1000 + ' km from vineyards)',
+  environmental: 'Environmental distance',
+  targetGroup: 'Target-group (farmland)'
+};
+
 
 // Regional comparison module
 function createModule3() {
@@ -881,16 +4568,20 @@ function createModule3() {
   // Panel components
   var compareChartPanel = ui.Panel();
   var compareInfoPanel = ui.Panel();
+  var diagnosticsPanel = ui.Panel();
+  var explanationPanel = ui.Panel();
+  explanationPanel.add(ui.Label('Analyze a region with a classifier to see what drives its predictions.', {fontSize: '12px', color: '#666'}));
+  diagnosticsPanel.add(ui.Label('Analyze a region with a classifier to see its cross-validated metrics.', {fontSize: '12px', color: '#666'}));
   
-  // Clear map and zoom to London
-  mapPanel.layers().reset(); 
+  // Manage the map's layers and zoom to London
+  LayerManager.attach(mapPanel);
   mapPanel.centerObject(LONDON_CENTER, 9);
   
   // Add UK base map suitable for planting
   var ukSuitableMask = computeBasicSuitability(UK_boundary.geometry(), '2023');
-  var ukLayer = mapPanel.addLayer(ukSuitableMask.selfMask(), 
-                  {palette: ['#00FF00'], opacity: 0.4}, 
-                  'UK Suitable Planting Areas');
+  LayerManager.set('uk/suitable', ukSuitableMask.selfMask(), 
+                   {palette: ['#00FF00'], opacity: 0.4}, 
+                   'UK Suitable Planting Areas');
   
   // Add initial panel content
   panel.add(ui.Label('Regional Comparison Analysis', {fontSize: '18px', fontWeight: 'bold', margin: '0 0 8px'}));
@@ -913,40 +4604,28 @@ function createModule3() {
     drawingTools.setShape('polygon');
     drawingTools.draw();
     
-    showLoading("Please draw a region on the map");
-    ee.Number(1).evaluate(function() {
-      hideLoading();
-    });
+    showNotice("Please draw a region on the map");
   });
   
   var saveButton = ui.Button('Save Region', function() {
     var drawn = drawingTools.layers().get(0);
     if (!drawn) {
-      showLoading("Please draw a region first");
-      ee.Number(1).evaluate(function() {
-        hideLoading();
-      });
+      showNotice("Please draw a region first");
       return;
     }
     var geom = drawn.toGeometry();
     var regionIndex = savedCompareGeometries.length + 1;
     savedCompareGeometries.push(geom);
-    mapPanel.addLayer(geom, {color: 'blue'}, 'Comparison Region ' + regionIndex);
+    LayerManager.set('region' + regionIndex + '/outline', geom, {color: 'blue'}, 'Comparison Region ' + regionIndex);
     drawingTools.layers().reset();
     drawingTools.setShown(false);
     
-    showLoading("Region saved, please click 'Analyze Selected Region' button to analyze");
-    ee.Number(1).evaluate(function() {
-      hideLoading();
-    });
+    showNotice("Region saved, please click 'Analyze Selected Region' button to analyze");
   });
   
   var analyzeButton = ui.Button('Analyze Selected Region', function() {
     if (savedCompareGeometries.length === 0) {
-      showLoading("Please draw and save a region first");
-      ee.Number(1).evaluate(function() {
-        hideLoading();
-      });
+      showNotice("Please draw and save a region first");
       return;
     }
     
@@ -954,205 +4633,295 @@ function createModule3() {
     var regionIndex = savedCompareGeometries.length;
     var region = savedCompareGeometries[regionIndex - 1];
     
-    showLoading("Analyzing region " + regionIndex + "...");
-    
-    // Analyze suitability change of the region (2020-2023)
-    var years = [2020, 2021, 2022, 2023];
-    var yearResults = {};
-    var totalYears = years.length;
-    var processedYears = 0;
+    TaskQueue.submit({
+      name: 'Region ' + regionIndex + ' analysis',
+      key: 'analyze/region' + regionIndex,
+      message: "Analyzing region " + regionIndex + "...",
+      run: function(job) {
+        // The national model trains through evaluate callbacks before the region is analyzed
+        if (usesNationalModel()) {
+          job.progress("Training the national model on all UK vineyards...");
+          GrapeML.trainNationalModel('2023', undefined, undefined, function(national) {
+            if (!job.isActive()) return;
+            if (!national.success) {
+              print(national.error);
+            }
+            analyzeYears();
+          });
+        } else {
+          analyzeYears();
+        }
+        
+        function analyzeYears() {
+          // Analyze suitability change of the region (2020-2023)
+          var years = [2020, 2021, 2022, 2023];
+          var yearResults = {};
+          var totalYears = years.length;
+          var processedYears = 0;
     
-    // Analyze basic suitability for each year
-    years.forEach(function(year) {
-      // Use simple filtering conditions to calculate suitability area
-      var suitableMask = computeBasicSuitability(region, String(year));
+          // Analyze basic suitability for each year
+          years.forEach(function(year) {
+            // Use simple filtering conditions to calculate suitability area
+            var suitableMask = computeBasicSuitability(region, String(year));
       
-      // Calculate suitable area size
-      suitableMask.multiply(ee.Image.pixelArea()).reduceRegion({
-        reducer: ee.Reducer.sum(),
-        geometry: region,
-        scale: 250,
-        maxPixels: 1e10
-      }).evaluate(function(result) {
-        var area = result ? result.mask / 1e6 : 0;
+            // Calculate suitable area size before and after land-cover exclusion
+            var excludedMask = GrapeML.applyLandCoverExclusion(suitableMask, region).rename('excluded');
+            job.evaluate(ee.Image.cat([suitableMask, excludedMask]).multiply(ee.Image.pixelArea()).reduceRegion({
+              reducer: ee.Reducer.sum(),
+              geometry: region,
+              scale: 250,
+              maxPixels: 1e10
+            }), function(result) {
+              var area = result ? result.mask / 1e6 : 0;
+              var excludedArea = result ? result.excluded / 1e6 : 0;
         
-        yearResults[year] = {
-          suitable_area: area
-        };
+              yearResults[year] = {
+                suitable_area: area,
+                suitable_area_excluded: excludedArea
+              };
         
-        processedYears++;
+              processedYears++;
         
-        // If it's 2023, calculate the machine learning predicted high suitability area
-        if (year === 2023) {
-          // Get complete analysis results
-          var mlResults = GrapeML.analyzeSuitability(region, String(year));
+              // If it's 2023, calculate the machine learning predicted high suitability area
+              if (year === 2023) {
+                // Get complete analysis results
+                var surface = getSuitabilitySurface(region);
           
-          // Display high suitability area (machine learning calculation)
-          if (mlResults.mlResults && mlResults.mlResults.success) {
-            // Extract high suitability area center point
-            var highSuitPoints = mlResults.mlResults.highSuitabilityAreas
-              .selfMask()
-              .reduceToVectors({
-                geometry: region,
-                scale: 250,
-                geometryType: 'centroid',
-                maxPixels: 1e10
-              });
+                // Display high suitability area (machine learning or AHP calculation)
+                if (surface && surface.success) {
+                  yearResults[year].method = surface.method || 'Random Forest';
+                  yearResults[year].threshold = surface.threshold;
+                  yearResults[year].consistencyRatio = surface.consistencyRatio;
+                  yearResults[year].crossValidation = surface.crossValidation;
+                  yearResults[year].metrics = surface.metrics;
+                  if (surface.classifier) {
+                    yearResults[year].explanation = GrapeML.explainModel(surface, region);
+                    yearResults[year].probability = surface.probability;
+                  }
+                  if (surface.pseudoAbsence) {
+                    yearResults[year].samples = surface.positiveCount + ' vineyard / ' + surface.negativeCount +
+                                                ' background points (' + PSEUDO_ABSENCE_LABELS[surface.pseudoAbsence] + ')';
+                  }
             
-            // Add high suitability area to map, using bright pink points
-            mapPanel.addLayer(highSuitPoints, {
-              color: '#FF1493',  // Deep pink
-              pointSize: 6,      // Larger point size
-              pointShape: 'circle' // Circular point
-            }, 'Region ' + regionIndex + ' - High Suitability Points (>70%)');
+                  // Extract high suitability area center point
+                  var highSuitPoints = surface.highSuitabilityAreas
+                    .selfMask()
+                    .reduceToVectors({
+                      geometry: region,
+                      scale: 250,
+                      geometryType: 'centroid',
+                      maxPixels: 1e10
+                    });
             
-            // Calculate high suitability area size
-            mlResults.mlResults.highSuitabilityAreas.multiply(ee.Image.pixelArea()).reduceRegion({
-              reducer: ee.Reducer.sum(),
-              geometry: region,
-              scale: 250,
-              maxPixels: 1e10
-            }).evaluate(function(highResult) {
-              var highArea = highResult ? highResult.classification / 1e6 : 0;
-              yearResults[year].high_suitable_area = highArea;
+                  yearResults[year].highSuitPoints = highSuitPoints;
+            
+                  // Add the continuous AHP weighted suitability surface beneath the points
+                  if (surface.method === 'AHP') {
+                    var ahpVisParams = getScoreVisParams();
+                    ahpVisParams.opacity = 0.7;
+                    LayerManager.set('region' + regionIndex + '/ahpScore', surface.suitabilityScore, ahpVisParams,
+                                     'Region ' + regionIndex + ' - AHP Suitability Score');
+                  }
+            
+                  // Add high suitability area to map, using bright pink points
+                  LayerManager.set('region' + regionIndex + '/points', highSuitPoints, {
+                    color: '#FF1493',  // Deep pink
+                    pointSize: 6,      // Larger point size
+                    pointShape: 'circle' // Circular point
+                  }, 'Region ' + regionIndex + ' - High Suitability Points (' + GrapeML.formatThreshold(surface.threshold) + ')');
+            
+                  // Add uncertainty and extrapolation layers alongside the points
+                  if (surface.uncertainty) {
+                    yearResults[year].uncertainty = surface.uncertainty.clip(region);
+                    yearResults[year].uncertaintyMethod = surface.uncertaintyMethod;
+                  }
+                  if (surface.extrapolation) {
+                    yearResults[year].extrapolation = surface.extrapolation.clip(region);
+                  }
+                  addConfidenceLayers(regionIndex, yearResults[year]);
+            
+                  // Calculate high suitability area size
+                  job.evaluate(surface.highSuitabilityAreas.rename('high').multiply(ee.Image.pixelArea()).reduceRegion({
+                    reducer: ee.Reducer.sum(),
+                    geometry: region,
+                    scale: 250,
+                    maxPixels: 1e10
+                  }), function(highResult) {
+                    var highArea = highResult ? highResult.high / 1e6 : 0;
+                    yearResults[year].high_suitable_area = highArea;
               
-              finishProcessing();
-            });
-          } else {
-            yearResults[year].high_suitable_area = 0;
-            finishProcessing();
-          }
-        }
+                    finishProcessing();
+                  });
+                } else {
+                  yearResults[year].high_suitable_area = 0;
+                  yearResults[year].threshold = GrapeML.thresholdSelection.value;
+                  finishProcessing();
+                }
+              }
         
-        // If all years are processed
-        if (processedYears === totalYears) {
-          finishProcessing();
-        }
-      });
+              // If all years are processed
+              if (processedYears === totalYears) {
+                finishProcessing();
+              }
+            });
       
-      // Add suitable area layer for the year (only add the latest year to avoid too many layers)
-      if (year === 2023) {
-        mapPanel.addLayer(suitableMask.selfMask(), 
-                       {palette: ['#00FF00'], opacity: 0.6}, 
-                       'Region ' + regionIndex + ' - Suitable Area 2023');
-      }
-    });
-    
-    // Add vineyard distribution
-    mapPanel.addLayer(vineyards.filterBounds(region), 
-                     {color: 'purple', width: 1}, 
-                     'Region ' + regionIndex + ' - Vineyard');
-    
-    // Execute after processing is complete
-    function finishProcessing() {
-      // Check if all data is ready
-      var allReady = true;
-      for (var i = 0; i < years.length; i++) {
-        var year = years[i];
-        if (!yearResults[year] || 
-            (year === 2023 && yearResults[year].high_suitable_area === undefined)) {
-          allReady = false;
-          break;
-        }
-      }
+            // Add suitable area layer for the year (only add the latest year to avoid too many layers)
+            if (year === 2023) {
+              LayerManager.set('region' + regionIndex + '/suitable', suitableMask.selfMask(), 
+                               {palette: ['#00FF00'], opacity: 0.6}, 
+                               'Region ' + regionIndex + ' - Suitable Area 2023');
+              LayerManager.set('region' + regionIndex + '/excluded', GrapeML.computeLandCoverExclusion(region).selfMask(), 
+                               {palette: ['#616161'], opacity: 0.6}, 
+                               'Region ' + regionIndex + ' - Excluded Land', {shown: false});
+            }
+          });
+    
+          // Add vineyard distribution
+          LayerManager.set('region' + regionIndex + '/vineyards', vineyards.filterBounds(region), 
+                           {color: 'purple', width: 1}, 
+                           'Region ' + regionIndex + ' - Vineyard');
+    
+          // Execute after processing is complete
+          function finishProcessing() {
+            // Check if all data is ready
+            var allReady = true;
+            for (var i = 0; i < years.length; i++) {
+              var year = years[i];
+              if (!yearResults[year] || 
+                  (year === 2023 && yearResults[year].high_suitable_area === undefined)) {
+                allReady = false;
+                break;
+              }
+            }
       
-      if (!allReady) return;
+            if (!allReady) return;
       
-      // All data is ready, store results and display chart
-      areaResults['region' + regionIndex] = yearResults;
+            // All data is ready, store results and display chart
+            areaResults['region' + regionIndex] = yearResults;
       
-      // Create trend chart
-      var chartPanel = ui.Panel({
-        layout: ui.Panel.Layout.flow('vertical'),
-        style: {width: '100%', padding: '8px'}
-      });
+            // Create trend chart
+            var chartPanel = ui.Panel({
+              layout: ui.Panel.Layout.flow('vertical'),
+              style: {width: '100%', padding: '8px'}
+            });
       
-      // Add title
-      chartPanel.add(ui.Label('Region ' + regionIndex + ' Suitability Trend', {
-        fontWeight: 'bold',
-        textAlign: 'center',
-        margin: '0 0 8px 0'
-      }));
+            // Add title
+            chartPanel.add(ui.Label('Region ' + regionIndex + ' Suitability Trend', {
+              fontWeight: 'bold',
+              textAlign: 'center',
+              margin: '0 0 8px 0'
+            }));
       
-      // Create chart data
-      var chartData = [];
-      years.forEach(function(year) {
-        chartData.push(ee.Feature(null, {
-          year: year,
-          suitable_km2: yearResults[year].suitable_area
-        }));
-      });
+            // Create chart data
+            var chartData = [];
+            years.forEach(function(year) {
+              chartData.push(ee.Feature(null, {
+                year: year,
+                suitable_km2: yearResults[year].suitable_area,
+                excluded_km2: yearResults[year].suitable_area_excluded
+              }));
+            });
       
-      // Create chart
-      var chart = ui.Chart.feature.byFeature(ee.FeatureCollection(chartData), 'year', ['suitable_km2'])
-        .setChartType('LineChart')
-        .setOptions({
-          title: 'Suitable Area Change',
-          hAxis: {title: 'Year'},
-          vAxis: {title: 'Area (km²)'},
-          lineWidth: 2,
-          pointSize: 4,
-          series: {0: {color: '#228B22'}},
-          legend: {position: 'none'}
-        });
+            // Create chart
+            var chart = ui.Chart.feature.byFeature(ee.FeatureCollection(chartData), 'year', ['suitable_km2', 'excluded_km2'])
+              .setChartType('LineChart')
+              .setSeriesNames(['Before exclusion', 'After exclusion'])
+              .setOptions({
+                title: 'Suitable Area Change',
+                hAxis: {title: 'Year'},
+                vAxis: {title: 'Area (km²)'},
+                lineWidth: 2,
+                pointSize: 4,
+                series: {0: {color: '#9E9E9E', lineDashStyle: [4, 4]}, 1: {color: '#228B22'}},
+                legend: {position: 'bottom'}
+              });
       
-      chartPanel.add(chart);
+            chartPanel.add(chart);
       
-      // Add area information, highlighting high suitability area information
-      var infoPanel = ui.Panel({
-        layout: ui.Panel.Layout.flow('vertical'),
-        style: {width: '100%', padding: '8px', margin: '8px 0', border: '1px solid #ddd'}
-      });
+            // Add area information, highlighting high suitability area information
+            var infoPanel = ui.Panel({
+              layout: ui.Panel.Layout.flow('vertical'),
+              style: {width: '100%', padding: '8px', margin: '8px 0', border: '1px solid #ddd'}
+            });
       
-      infoPanel.add(ui.Label('2023 Statistics:', {fontWeight: 'bold', margin: '0 0 4px 0'}));
-      infoPanel.add(ui.Label('Suitable Planting Area: ' + yearResults[2023].suitable_area.toFixed(2) + ' km²'));
+            infoPanel.add(ui.Label('2023 Statistics:', {fontWeight: 'bold', margin: '0 0 4px 0'}));
+            infoPanel.add(ui.Label('Suitable Planting Area: ' + yearResults[2023].suitable_area.toFixed(2) + ' km²'));
+            infoPanel.add(ui.Label('After Land-Cover Exclusion: ' + yearResults[2023].suitable_area_excluded.toFixed(2) + ' km²'));
       
-      // Make high suitability area information more prominent
-      var highSuitLabel = ui.Label('High Suitability Area (>70%): ' + yearResults[2023].high_suitable_area.toFixed(2) + ' km²', {
-        color: '#D81B60',  // Pink
-        fontWeight: 'bold',
-        padding: '4px',
-        margin: '4px 0'
-      });
-      infoPanel.add(highSuitLabel);
+            // Make high suitability area information more prominent
+            var highSuitLabel = ui.Label('High Suitability Area (' + GrapeML.formatThreshold(yearResults[2023].threshold) + '): ' +
+                                         yearResults[2023].high_suitable_area.toFixed(2) + ' km²', {
+              color: '#D81B60',  // Pink
+              fontWeight: 'bold',
+              padding: '4px',
+              margin: '4px 0'
+            });
+            infoPanel.add(highSuitLabel);
       
-      chartPanel.add(infoPanel);
+            if (yearResults[2023].method) {
+              var methodText = 'Method: ' + yearResults[2023].method;
+              if (yearResults[2023].consistencyRatio !== undefined) {
+                methodText += ' (CR ' + yearResults[2023].consistencyRatio.toFixed(3) + ')';
+              }
+              infoPanel.add(ui.Label(methodText, {fontSize: '12px', color: '#666'}));
+            }
       
-      // If this is the first region, clear and add to main panel
-      if (regionIndex === 1) {
-        compareChartPanel.clear();
-        compareInfoPanel.clear();
-        compareChartPanel.add(chartPanel);
-      } else {
-        // If this is the second region, we need to ensure only one chart for this region exists
-        // First, determine how many widgets are in the panel
-        var widgetCount = 0;
-        compareChartPanel.widgets().forEach(function() {
-          widgetCount++;
-        });
+            if (yearResults[2023].samples) {
+              infoPanel.add(ui.Label('Samples: ' + yearResults[2023].samples, {fontSize: '12px', color: '#666'}));
+            }
+      
+            var cv = yearResults[2023].crossValidation;
+            if (cv) {
+              infoPanel.add(ui.Label('Accuracy (' + cv.folds + '-fold spatial CV, ' + cv.blocking + ' blocks): ' +
+                                     cv.mean.toFixed(3) + ' ± ' + cv.stdDev.toFixed(3) +
+                                     ' (range ' + cv.min.toFixed(3) + ' - ' + cv.max.toFixed(3) + ')',
+                                     {fontSize: '12px', color: '#666'}));
+            }
+      
+            chartPanel.add(infoPanel);
+      
+            if (yearResults[2023].metrics) {
+              showModelDiagnostics(regionIndex, yearResults[2023].metrics);
+            }
+            if (yearResults[2023].explanation) {
+              showModelExplanation(regionIndex, yearResults[2023].explanation, yearResults[2023].probability);
+            }
+      
+            // If this is the first region, clear and add to main panel
+            if (regionIndex === 1) {
+              compareChartPanel.clear();
+              compareInfoPanel.clear();
+              compareChartPanel.add(chartPanel);
+            } else {
+              // If this is the second region, we need to ensure only one chart for this region exists
+              // First, determine how many widgets are in the panel
+              var widgetCount = 0;
+              compareChartPanel.widgets().forEach(function() {
+                widgetCount++;
+              });
+        
+              // If there's already a chart for the first region, remove any additional charts
+              if (widgetCount >= 1) {
+                while (widgetCount > 1) {
+                  compareChartPanel.remove(compareChartPanel.widgets().get(widgetCount - 1));
+                  widgetCount--;
+                }
+              }
         
-        // If there's already a chart for the first region, remove any additional charts
-        if (widgetCount >= 1) {
-          while (widgetCount > 1) {
-            compareChartPanel.remove(compareChartPanel.widgets().get(widgetCount - 1));
-            widgetCount--;
+              // Now add the new chart for the second region
+              compareChartPanel.add(chartPanel);
+        
+              // If there are two regions, enable comparison button
+              compareButton.setDisabled(false);
+            }
+      
+            updateUI();
+            job.done();
+            showNotice("Region " + regionIndex + " analysis complete!");
           }
         }
-        
-        // Now add the new chart for the second region
-        compareChartPanel.add(chartPanel);
-        
-        // If there are two regions, enable comparison button
-        compareButton.setDisabled(false);
       }
-      
-      hideLoading();
-      
-      showLoading("Region " + regionIndex + " analysis complete!");
-      ee.Number(2).evaluate(function() {
-        hideLoading();
-      });
-    }
+    });
   });
   
   var clearButton = ui.Button('Clear', function() {
@@ -1160,60 +4929,12 @@ function createModule3() {
       drawingTools.layers().reset();
       drawingTools.setShown(false);
     } else if (savedCompareGeometries.length > 0) {
-      // Reset map
-      mapPanel.layers().reset();
-      
-      // Re-add UK base map
-      ukLayer = mapPanel.addLayer(ukSuitableMask.selfMask(), 
-                      {palette: ['#00FF00'], opacity: 0.4}, 
-                      'UK Suitable Planting Areas');
-      
-      // Remove the last geometry and analysis results
+      // Remove the last region's layers and analysis results; the other regions keep theirs
+      var lastRegionIndex = savedCompareGeometries.length;
+      TaskQueue.cancel('analyze/region' + lastRegionIndex);
       savedCompareGeometries.pop();
-      if (savedCompareGeometries.length >= 1) {
-        var lastRegionIndex = savedCompareGeometries.length;
-        delete areaResults['region' + (lastRegionIndex + 1)];
-        
-        // Re-add retained geometries
-        for (var i = 0; i < savedCompareGeometries.length; i++) {
-          var regionIdx = i + 1;
-          mapPanel.addLayer(savedCompareGeometries[i], {color: 'blue'}, 'Comparison Region ' + regionIdx);
-          
-          // If there's analysis data for this region, re-display the layer
-          if (areaResults['region' + regionIdx]) {
-            // Add 2023 suitable area
-            var region = savedCompareGeometries[i];
-            var suitableMask = computeBasicSuitability(region, '2023');
-            mapPanel.addLayer(suitableMask.selfMask(), 
-                           {palette: ['#00FF00'], opacity: 0.6}, 
-                           'Region ' + regionIdx + ' - Suitable Area 2023');
-            
-            // Add high suitability area (if any) - using pink points
-            var mlResults = GrapeML.analyzeSuitability(region, '2023');
-            if (mlResults.mlResults && mlResults.mlResults.success) {
-              var highSuitPoints = mlResults.mlResults.highSuitabilityAreas
-                .selfMask()
-                .reduceToVectors({
-                  geometry: region,
-                  scale: 250,
-                  geometryType: 'centroid',
-                  maxPixels: 1e10
-                });
-              
-              mapPanel.addLayer(highSuitPoints, {
-                color: '#FF1493',  // Deep pink
-                pointSize: 6,      // Larger point size
-                pointShape: 'circle' // Circular point
-              }, 'Region ' + regionIdx + ' - High Suitability Points (>70%)');
-            }
-            
-            // Add vineyards
-            mapPanel.addLayer(vineyards.filterBounds(region), 
-                           {color: 'purple', width: 1}, 
-                           'Region ' + regionIdx + ' - Vineyard');
-          }
-        }
-      }
+      LayerManager.removeGroup('region' + lastRegionIndex + '/');
+      delete areaResults['region' + lastRegionIndex];
     }
     
     // Update UI
@@ -1224,15 +4945,10 @@ function createModule3() {
     label: 'Compare Two Regions',
     onClick: function() {
       if (Object.keys(areaResults).length < 2) {
-        showLoading("Please analyze at least two regions before comparing");
-        ee.Number(1).evaluate(function() {
-          hideLoading();
-        });
+        showNotice("Please analyze at least two regions before comparing");
         return;
       }
       
-      showLoading("Comparing region data...");
-      
       compareInfoPanel.clear();
       
       // Get results of the last two regions
@@ -1240,11 +4956,7 @@ function createModule3() {
       var region2Results = areaResults['region' + savedCompareGeometries.length];
       
       if (!region1Results || !region2Results) {
-        hideLoading();
-        showLoading("Unable to retrieve region data, please re-analyze");
-        ee.Number(1).evaluate(function() {
-          hideLoading();
-        });
+        showNotice("Unable to retrieve region data, please re-analyze");
         return;
       }
       
@@ -1286,6 +4998,28 @@ function createModule3() {
       suitableRow.add(ui.Label(region2Results[2023].suitable_area.toFixed(2), {width: '100px'}));
       table.add(suitableRow);
       
+      // Add suitable area after land-cover exclusion row
+      var excludedRow = ui.Panel({
+        layout: ui.Panel.Layout.flow('horizontal'),
+        style: {width: '100%', margin: '2px 0', padding: '4px'}
+      });
+      excludedRow.add(ui.Label('After Exclusion (km²)', {width: '120px'}));
+      excludedRow.add(ui.Label(region1Results[2023].suitable_area_excluded.toFixed(2), {width: '100px'}));
+      excludedRow.add(ui.Label(region2Results[2023].suitable_area_excluded.toFixed(2), {width: '100px'}));
+      table.add(excludedRow);
+      
+      // Add high suitability threshold row; each model picks its own threshold
+      var threshold1 = GrapeML.formatThreshold(region1Results[2023].threshold);
+      var threshold2 = GrapeML.formatThreshold(region2Results[2023].threshold);
+      var thresholdRow = ui.Panel({
+        layout: ui.Panel.Layout.flow('horizontal'),
+        style: {width: '100%', margin: '2px 0', padding: '4px'}
+      });
+      thresholdRow.add(ui.Label('High Suitability Threshold', {width: '120px'}));
+      thresholdRow.add(ui.Label(threshold1, {width: '100px'}));
+      thresholdRow.add(ui.Label(threshold2, {width: '100px'}));
+      table.add(thresholdRow);
+      
       // Add high suitability area row
       var highSuitableRow = ui.Panel({
         layout: ui.Panel.Layout.flow('horizontal'),
@@ -1327,7 +5061,10 @@ function createModule3() {
       }
       
       var highSuitConclusion = '';
-      if (region1Results[2023].high_suitable_area > region2Results[2023].high_suitable_area) {
+      if (threshold1 !== threshold2) {
+        highSuitConclusion = 'The regions use different high suitability thresholds (' + threshold1 + ' and ' + threshold2 +
+                             '), so their high suitability areas are not directly comparable.';
+      } else if (region1Results[2023].high_suitable_area > region2Results[2023].high_suitable_area) {
         highSuitConclusion = 'Region ' + (savedCompareGeometries.length - 1) + ' has a larger high suitability area,';
         highSuitConclusion += ' ' + Math.abs(highSuitableDiff).toFixed(2) + 'km² more than region ' + savedCompareGeometries.length;
       } else {
@@ -1343,13 +5080,591 @@ function createModule3() {
       
       // Add to panel
       compareInfoPanel.add(comparisonPanel);
+    },
+    disabled: true,
+    style: {margin: '5px 0'}
+  });
+  
+  // Add a region's prediction uncertainty and extrapolation layers (when the model provides them)
+  function addConfidenceLayers(regionIndex, results) {
+    if (results.uncertainty) {
+      var method = results.uncertaintyMethod;
+      var visParams = {
+        min: 0,
+        max: UNCERTAINTY_MAX[method],
+        palette: UNCERTAINTY_VIS.palette,
+        opacity: UNCERTAINTY_VIS.opacity
+      };
+      LayerManager.set('region' + regionIndex + '/uncertainty', results.uncertainty, visParams,
+                       'Region ' + regionIndex + ' - Prediction Uncertainty (' + GrapeML.uncertaintyLabels[method] + ')');
+    }
+    if (results.extrapolation) {
+      LayerManager.set('region' + regionIndex + '/extrapolation', results.extrapolation.selfMask(), {palette: ['#FF6F00'], opacity: 0.6},
+                       'Region ' + regionIndex + ' - Extrapolation (outside training range)');
+    }
+  }
+  
+  // Show variable importance and partial dependence curves for a region's model
+  function showModelExplanation(regionIndex, explanation, probability) {
+    explanationPanel.clear();
+    explanationPanel.add(ui.Label('Computing model explanation for region ' + regionIndex + '...', {fontSize: '12px', color: '#666'}));
+    
+    explanation.evaluate(function(result, error) {
+      explanationPanel.clear();
+      if (!result) {
+        explanationPanel.add(ui.Label('Model explanation failed: ' + error, {color: '#D81B60'}));
+        return;
+      }
       
-      hideLoading();
+      // Variable importance, largest first
+      var importance = result.importance;
+      var names = Object.keys(importance).sort(function(a, b) { return importance[b] - importance[a]; });
+      if (names.length > 0) {
+        var importanceRows = [[{label: 'Feature', type: 'string'}, {label: 'Importance', type: 'number'}]];
+        names.forEach(function(name) {
+          importanceRows.push([name, importance[name]]);
+        });
+        explanationPanel.add(ui.Chart(importanceRows, 'BarChart', {
+          title: 'Region ' + regionIndex + ' - Variable Importance',
+          hAxis: {title: 'Importance'},
+          height: 60 + names.length * 22,
+          colors: ['#6A1B9A'],
+          legend: {position: 'none'}
+        }));
+      } else {
+        explanationPanel.add(ui.Label('This classifier does not report variable importance.', {fontSize: '12px', color: '#666'}));
+      }
+      
+      // One partial dependence curve per feature; without probabilities the
+      // curves average predicted classes, i.e. the share of pixels classified suitable
+      var responseLabel = probability ? 'Suitability probability' : 'Share classified suitable';
+      Object.keys(result.partialDependence).forEach(function(name) {
+        var curve = result.partialDependence[name];
+        var rows = [[{label: name, type: 'number'}, {label: responseLabel, type: 'number'}]];
+        curve.values.forEach(function(value, i) {
+          rows.push([value, curve.response[i]]);
+        });
+        explanationPanel.add(ui.Chart(rows, 'LineChart', {
+          title: 'Partial dependence: ' + name,
+          hAxis: {title: name},
+          vAxis: {title: responseLabel, viewWindow: {min: 0, max: 1}},
+          lineWidth: 2,
+          pointSize: 3,
+          height: 180,
+          colors: ['#228B22'],
+          legend: {position: 'none'}
+        }));
+      });
+    });
+  }
+  
+  // Show cross-validated metrics and the ROC curve for a region's model
+  function showModelDiagnostics(regionIndex, metrics) {
+    diagnosticsPanel.clear();
+    diagnosticsPanel.add(ui.Label('Region ' + regionIndex + ' - out-of-fold predictions (n = ' + metrics.n +
+                                  ', threshold ' + GrapeML.formatThreshold(metrics.threshold) + ')', {fontSize: '12px', color: '#666'}));
+    
+    var summary = [
+      ['AUC', metrics.auc],
+      ['Cohen\'s Kappa', metrics.kappa],
+      ['True Skill Statistic', metrics.tss],
+      ['Overall Accuracy', metrics.accuracy]
+    ];
+    summary.forEach(function(row) {
+      var metricRow = ui.Panel({layout: ui.Panel.Layout.flow('horizontal'), style: {margin: '0'}});
+      metricRow.add(ui.Label(row[0], {width: '150px', margin: '2px 8px'}));
+      metricRow.add(ui.Label(row[1].toFixed(3), {margin: '2px 8px'}));
+      diagnosticsPanel.add(metricRow);
+    });
+    
+    // Per-class precision, recall and F1
+    var header = ui.Panel({layout: ui.Panel.Layout.flow('horizontal'), style: {margin: '4px 0 0 0'}});
+    ['Class', 'Precision', 'Recall', 'F1'].forEach(function(label) {
+      header.add(ui.Label(label, {width: '70px', margin: '2px 8px', fontWeight: 'bold'}));
+    });
+    diagnosticsPanel.add(header);
+    [[1, 'Vineyard'], [0, 'Background']].forEach(function(cls) {
+      var classMetrics = metrics.perClass[cls[0]];
+      var classRow = ui.Panel({layout: ui.Panel.Layout.flow('horizontal'), style: {margin: '0'}});
+      classRow.add(ui.Label(cls[1], {width: '70px', margin: '2px 8px'}));
+      [classMetrics.precision, classMetrics.recall, classMetrics.f1].forEach(function(value) {
+        classRow.add(ui.Label(value.toFixed(3), {width: '70px', margin: '2px 8px'}));
+      });
+      diagnosticsPanel.add(classRow);
+    });
+    
+    // ROC curve against the random-classifier diagonal
+    var rows = [[
+      {label: 'False positive rate', type: 'number'},
+      {label: 'ROC', type: 'number'},
+      {label: 'Random', type: 'number'}
+    ]];
+    metrics.roc.forEach(function(point) {
+      rows.push([point.fpr, point.tpr, null]);
+    });
+    rows.push([0, null, 0]);
+    rows.push([1, null, 1]);
+    diagnosticsPanel.add(ui.Chart(rows, 'LineChart', {
+      title: 'ROC Curve (AUC ' + metrics.auc.toFixed(3) + ')',
+      hAxis: {title: 'False positive rate', viewWindow: {min: 0, max: 1}},
+      vAxis: {title: 'True positive rate', viewWindow: {min: 0, max: 1}},
+      interpolateNulls: true,
+      lineWidth: 2,
+      height: 240,
+      series: {
+        0: {color: '#D81B60'},
+        1: {color: '#9E9E9E', lineDashStyle: [4, 4]}
+      },
+      legend: {position: 'none'}
+    }));
+  }
+  
+  // Show cross-validated metrics of every classifier side by side
+  function showClassifierComparison(regionIndex, comparison) {
+    diagnosticsPanel.clear();
+    diagnosticsPanel.add(ui.Label('Region ' + regionIndex + ' - classifier comparison on the same samples and folds',
+                                  {fontSize: '12px', color: '#666'}));
+    
+    var columns = ['Classifier', 'AUC', 'Kappa', 'TSS', 'F1', 'CV Acc.'];
+    var header = ui.Panel({layout: ui.Panel.Layout.flow('horizontal'), style: {margin: '4px 0 0 0'}});
+    columns.forEach(function(label, i) {
+      header.add(ui.Label(label, {width: i === 0 ? '90px' : '45px', margin: '2px 4px', fontWeight: 'bold', fontSize: '12px'}));
+    });
+    diagnosticsPanel.add(header);
+    
+    var chartData = [];
+    comparison.results.forEach(function(result) {
+      var row = ui.Panel({layout: ui.Panel.Layout.flow('horizontal'), style: {margin: '0'}});
+      row.add(ui.Label(result.label, {width: '90px', margin: '2px 4px', fontSize: '12px'}));
+      if (result.error) {
+        row.add(ui.Label('Failed: ' + result.error, {margin: '2px 4px', fontSize: '12px', color: '#D81B60'}));
+        diagnosticsPanel.add(row);
+        return;
+      }
+      var metrics = result.metrics;
+      var cv = result.crossValidation;
+      [metrics.auc, metrics.kappa, metrics.tss, metrics.perClass[1].f1].forEach(function(value) {
+        row.add(ui.Label(value.toFixed(2), {width: '45px', margin: '2px 4px', fontSize: '12px'}));
+      });
+      row.add(ui.Label(cv.mean.toFixed(2) + '±' + cv.stdDev.toFixed(2), {width: '60px', margin: '2px 4px', fontSize: '12px'}));
+      diagnosticsPanel.add(row);
+      
+      chartData.push(ee.Feature(null, {
+        classifier: result.label,
+        AUC: metrics.auc,
+        Kappa: metrics.kappa,
+        TSS: metrics.tss
+      }));
+    });
+    
+    if (chartData.length > 0) {
+      diagnosticsPanel.add(ui.Chart.feature.byFeature(ee.FeatureCollection(chartData), 'classifier', ['AUC', 'Kappa', 'TSS'])
+        .setChartType('ColumnChart')
+        .setOptions({
+          title: 'Classifier Comparison',
+          vAxis: {title: 'Score', viewWindow: {min: 0, max: 1}},
+          height: 220,
+          series: {0: {color: '#D81B60'}, 1: {color: '#1E88E5'}, 2: {color: '#228B22'}},
+          legend: {position: 'bottom'}
+        }));
+    }
+  }
+  
+  // Show hyperparameter search results, best first, with a button to use the best configuration
+  function showSearchResults(regionIndex, search) {
+    diagnosticsPanel.clear();
+    diagnosticsPanel.add(ui.Label('Region ' + regionIndex + ' - ' + search.label + ' ' + search.results.length +
+                                  ' configurations ranked by cross-validated ' + search.metric.toUpperCase(),
+                                  {fontSize: '12px', color: '#666'}));
+    
+    var shown = search.results.slice(0, 10);
+    shown.forEach(function(result, index) {
+      var paramText = Object.keys(result.params).filter(function(name) {
+        return name !== 'seed';
+      }).map(function(name) {
+        return name + '=' + result.params[name];
+      }).join(', ');
+      var scoreText = result.error ? 'failed' : !isFinite(result.score) ? 'no score' :
+                      result.score.toFixed(3) + ' (acc. ' + result.crossValidation.mean.toFixed(2) +
+                      '±' + result.crossValidation.stdDev.toFixed(2) + ')';
+      
+      var row = ui.Panel({layout: ui.Panel.Layout.flow('horizontal'), style: {margin: '0'}});
+      row.add(ui.Label(String(index + 1), {width: '20px', margin: '2px 4px', fontSize: '12px'}));
+      row.add(ui.Label(paramText, {width: '170px', margin: '2px 4px', fontSize: '12px'}));
+      row.add(ui.Label(scoreText, {margin: '2px 4px', fontSize: '12px',
+                                   fontWeight: index === 0 ? 'bold' : 'normal'}));
+      diagnosticsPanel.add(row);
+    });
+    if (search.results.length > shown.length) {
+      diagnosticsPanel.add(ui.Label('All ' + search.results.length + ' configurations are in the summary table printed to the console.',
+                                    {fontSize: '12px', color: '#666'}));
+    }
+    
+    diagnosticsPanel.add(ui.Button({
+      label: 'Use Best Configuration',
+      onClick: function() {
+        AppState.setClassifier(search.best);
+        classifierSelect.setValue(search.classifier, false);
+        diagnosticsPanel.add(ui.Label(search.label + ' set to the best configuration for the next analysis.',
+                                      {fontSize: '12px', color: '#228B22'}));
+      },
+      style: {margin: '5px 0'}
+    }));
+  }
+  
+  // Whether getSuitabilitySurface predicts with the national model
+  function usesNationalModel() {
+    return !ahpModeCheckbox.getValue() && modelSelect.getValue() === NEW_MODEL && AppState.state.mlScope === 'national';
+  }
+  
+  // Continuous suitability surface for a region: the AHP overlay in AHP mode,
+  // otherwise the selected classifier with the AHP overlay as its fallback
+  function getSuitabilitySurface(region) {
+    if (ahpModeCheckbox.getValue()) {
+      var factors = GrapeML.computeEnvironmentalFactors(region, '2023');
+      return GrapeML.runAHP(factors, region);
+    }
+    
+    var modelName = modelSelect.getValue();
+    var savedModel = modelName === NEW_MODEL ? undefined : modelName;
+    var mlResults = GrapeML.analyzeSuitability(region, '2023', undefined, savedModel).mlResults;
+    if (mlResults.success && !savedModel) {
+      lastTrainedResults = mlResults;
+      saveModelButton.setDisabled(false);
+    }
+    return mlResults.success ? mlResults : mlResults.fallback;
+  }
+  
+  // AHP pairwise comparison inputs
+  var SAATY_SCALE = ['1/9', '1/8', '1/7', '1/6', '1/5', '1/4', '1/3', '1/2',
+                     '1', '2', '3', '4', '5', '6', '7', '8', '9'];
+  
+  function formatSaaty(value) {
+    return value >= 1 ? String(Math.round(value)) : '1/' + Math.round(1 / value);
+  }
+  
+  function parseSaaty(text) {
+    var parts = text.split('/');
+    return parts.length === 2 ? Number(parts[0]) / Number(parts[1]) : Number(text);
+  }
+  
+  var BIOCLIMATIC_FEATURES = ['Huglin', 'Winkler'];
+  var bioclimaticFeaturesCheckbox = ui.Checkbox({
+    label: 'Use Huglin and Winkler indices as model features',
+    value: AppState.state.mlFeatures.indexOf('Huglin') !== -1,
+    onChange: function(checked) {
+      AppState.setModelFeatures(AppState.state.mlFeatures.filter(function(name) {
+        return BIOCLIMATIC_FEATURES.indexOf(name) === -1;
+      }).concat(checked ? BIOCLIMATIC_FEATURES : []));
+    }
+  });
+  
+  // Classifier backend used by getSuitabilitySurface
+  var classifierSelect = ui.Select({
+    items: Object.keys(GrapeML.classifiers).map(function(key) {
+      return {label: GrapeML.classifiers[key].label, value: key};
+    }),
+    value: AppState.state.classifier.type || AppState.state.classifier,
+    onChange: function(key) {
+      AppState.setClassifier(key);
+    },
+    style: {width: '180px'}
+  });
+  
+  var compareClassifiersButton = ui.Button({
+    label: 'Compare Classifiers',
+    onClick: function() {
+      if (savedCompareGeometries.length === 0) {
+        showNotice("Please draw and save a region first");
+        return;
+      }
+      
+      var regionIndex = savedCompareGeometries.length;
+      var region = savedCompareGeometries[regionIndex - 1];
+      TaskQueue.submit({
+        name: 'Classifier comparison',
+        key: 'classifiers',
+        message: "Comparing classifiers for region " + regionIndex + "...",
+        run: function(job) {
+          var factors = GrapeML.computeEnvironmentalFactors(region, '2023');
+          var suitabilityMask = GrapeML.computeSuitabilityMask(factors);
+          var comparison = GrapeML.compareClassifiers(factors, suitabilityMask, region, vineyards);
+          
+          if (comparison.success) {
+            showClassifierComparison(regionIndex, comparison);
+          } else {
+            diagnosticsPanel.clear();
+            diagnosticsPanel.add(ui.Label('Comparison failed: ' + comparison.error, {color: '#D81B60'}));
+          }
+          job.done();
+        }
+      });
+    },
+    style: {margin: '5px 0'}
+  });
+  
+  // Hyperparameter search settings
+  var searchMethodSelect = ui.Select({
+    items: [{label: 'Grid search', value: 'grid'}, {label: 'Random search (10)', value: 'random'}],
+    value: 'grid',
+    style: {width: '150px'}
+  });
+  
+  var searchMetricSelect = ui.Select({
+    items: [{label: 'AUC', value: 'auc'}, {label: 'TSS', value: 'tss'}, {label: 'Kappa', value: 'kappa'}],
+    value: 'auc',
+    style: {width: '80px'}
+  });
+  
+  var tuneButton = ui.Button({
+    label: 'Tune Hyperparameters',
+    onClick: function() {
+      if (savedCompareGeometries.length === 0) {
+        showNotice("Please draw and save a region first");
+        return;
+      }
+      
+      var regionIndex = savedCompareGeometries.length;
+      var region = savedCompareGeometries[regionIndex - 1];
+      TaskQueue.submit({
+        name: 'Hyperparameter search',
+        key: 'classifiers',
+        message: "Searching classifier parameters for region " + regionIndex + "...",
+        run: function(job) {
+          var factors = GrapeML.computeEnvironmentalFactors(region, '2023');
+          var suitabilityMask = GrapeML.computeSuitabilityMask(factors);
+          var search = GrapeML.searchHyperparameters(factors, suitabilityMask, region, vineyards, {
+            classifier: classifierSelect.getValue(),
+            method: searchMethodSelect.getValue(),
+            metric: searchMetricSelect.getValue()
+          });
+          
+          if (search.success) {
+            showSearchResults(regionIndex, search);
+          } else {
+            diagnosticsPanel.clear();
+            diagnosticsPanel.add(ui.Label('Search failed: ' + search.error, {color: '#D81B60'}));
+          }
+          job.done();
+        }
+      });
+    },
+    style: {margin: '5px 0'}
+  });
+  
+  // Pseudo-absence sampling settings
+  var pseudoAbsenceSelect = ui.Select({
+    items: GrapeML.pseudoAbsenceStrategies.map(function(strategy) {
+      return {label: PSEUDO_ABSENCE_LABELS[strategy], value: strategy};
+    }),
+    value: AppState.state.pseudoAbsence.strategy,
+    onChange: function(strategy) {
+      AppState.setPseudoAbsence({strategy: strategy});
+    },
+    style: {width: '180px'}
+  });
+  
+  var classRatioSelect = ui.Select({
+    items: [
+      {label: '1:1 (balanced)', value: '1'},
+      {label: '1:2', value: '2'},
+      {label: '1:4', value: '4'}
+    ],
+    value: String(AppState.state.pseudoAbsence.ratio),
+    onChange: function(ratio) {
+      AppState.setPseudoAbsence({ratio: Number(ratio)});
+    },
+    style: {width: '110px'}
+  });
+  
+  // Training scope: vineyards in the drawn region, or one model for all UK vineyards
+  var scopeSelect = ui.Select({
+    items: [
+      {label: 'Regional (vineyards in region)', value: 'regional'},
+      {label: 'National (all UK vineyards)', value: 'national'}
+    ],
+    value: AppState.state.mlScope,
+    onChange: function(scope) {
+      AppState.setModelScope(scope);
     },
+    style: {width: '200px'}
+  });
+  
+  // Saved models: predict with a saved classifier instead of training a new one
+  var NEW_MODEL = 'Train new model';
+  var lastTrainedResults = null;
+  
+  var modelSelect = ui.Select({
+    items: [NEW_MODEL].concat(Object.keys(GrapeML.savedModels)),
+    value: NEW_MODEL,
+    style: {width: '180px'}
+  });
+  
+  function refreshModelSelect(selected) {
+    modelSelect.items().reset([NEW_MODEL].concat(Object.keys(GrapeML.savedModels)));
+    modelSelect.setValue(selected, false);
+  }
+  
+  var modelNameInput = ui.Textbox({placeholder: 'Model name', style: {width: '120px'}});
+  var modelAssetInput = ui.Textbox({placeholder: 'Asset ID (optional, e.g. users/<you>/grape_rf)', style: {width: '300px'}});
+  var modelStatusLabel = ui.Label('', {fontSize: '12px', color: '#666', shown: false});
+  
+  function showModelStatus(message, isError) {
+    modelStatusLabel.setValue(message);
+    modelStatusLabel.style().set({shown: true, color: isError ? '#D81B60' : '#666'});
+  }
+  
+  var saveModelButton = ui.Button({
+    label: 'Save Last Model',
     disabled: true,
+    onClick: function() {
+      var name = modelNameInput.getValue();
+      if (!name) {
+        showModelStatus('Enter a model name first', true);
+        return;
+      }
+      var assetId = modelAssetInput.getValue() || undefined;
+      try {
+        GrapeML.saveModel(name, lastTrainedResults, assetId);
+        refreshModelSelect(name);
+        showModelStatus('Saved "' + name + '"' + (assetId ? ', start the export tasks in the Tasks tab' : ' for this session'));
+      } catch (error) {
+        showModelStatus(error.message, true);
+      }
+    },
+    style: {margin: '5px 0'}
+  });
+  
+  var loadModelButton = ui.Button({
+    label: 'Load from Asset',
+    onClick: function() {
+      var assetId = modelAssetInput.getValue();
+      if (!assetId) {
+        showModelStatus('Enter the asset ID of an exported model', true);
+        return;
+      }
+      var name = modelNameInput.getValue() || assetId.split('/').pop();
+      TaskQueue.submit({
+        name: 'Load model ' + name,
+        message: "Loading model " + name + "...",
+        run: function(job) {
+          var model = GrapeML.loadModel(name, assetId);
+          refreshModelSelect(name);
+          showModelStatus('Loaded "' + name + '" (' + model.metadata.method + ')');
+          job.done();
+        },
+        onError: function(error) {
+          showModelStatus(TaskQueue.errorMessage(error), true);
+        }
+      });
+    },
     style: {margin: '5px 0'}
   });
   
+  // High suitability threshold selection
+  var thresholdValueInput = ui.Textbox({
+    value: String(AppState.state.thresholdSelection.value),
+    onChange: function(text) {
+      var value = Number(text);
+      if (text !== '' && value > 0 && value < 1) {
+        AppState.setThresholdSelection({value: value});
+      }
+    },
+    style: {width: '50px', shown: AppState.state.thresholdSelection.method === 'fixed'}
+  });
+  
+  var thresholdMethodSelect = ui.Select({
+    items: [
+      {label: 'Maximise TSS', value: 'maxTSS'},
+      {label: 'Sensitivity = specificity', value: 'equalSensSpec'},
+      {label: 'Fixed value', value: 'fixed'}
+    ],
+    value: AppState.state.thresholdSelection.method,
+    onChange: function(method) {
+      AppState.setThresholdSelection({method: method});
+      thresholdValueInput.style().set('shown', method === 'fixed');
+    },
+    style: {width: '180px'}
+  });
+  
+  // Spatial block cross-validation settings
+  var cvBlockingSelect = ui.Select({
+    items: [
+      {label: 'Grid blocks (' + GrapeML.crossValidation.blockSize / 1000 + ' km)', value: 'grid'},
+      {label: 'Cluster blocks (k-means)', value: 'cluster'}
+    ],
+    value: AppState.state.crossValidation.blocking,
+    onChange: function(blocking) {
+      AppState.setCrossValidation({blocking: blocking});
+    },
+    style: {width: '180px'}
+  });
+  
+  var cvFoldsSelect = ui.Select({
+    items: ['3', '5', '10'],
+    value: String(AppState.state.crossValidation.folds),
+    onChange: function(folds) {
+      AppState.setCrossValidation({folds: Number(folds)});
+    },
+    style: {width: '60px'}
+  });
+  
+  var ahpModeCheckbox = ui.Checkbox({
+    label: 'Use AHP overlay instead of the classifier',
+    value: false
+  });
+  
+  var ahpComparisonPanel = ui.Panel({
+    layout: ui.Panel.Layout.flow('vertical'),
+    style: {padding: '4px', border: '1px solid #ddd', shown: false}
+  });
+  var ahpResultPanel = ui.Panel();
+  var ahpSelects = {};
+  
+  ahpComparisonPanel.add(ui.Label('Importance of the left factor over the right (1-9 scale):', {fontSize: '12px'}));
+  var ahpCriteria = GrapeML.getActiveCriteria(GrapeML.getThresholdProfile());
+  ahpCriteria.forEach(function(a, i) {
+    ahpCriteria.slice(i + 1).forEach(function(b) {
+      var pairKey = a.key + '/' + b.key;
+      var current = GrapeML.buildPairwiseMatrix([a.key, b.key], GrapeML.ahpComparisons)[0][1];
+      var select = ui.Select({items: SAATY_SCALE, value: formatSaaty(current), style: {width: '70px'}});
+      ahpSelects[pairKey] = select;
+      
+      var row = ui.Panel({layout: ui.Panel.Layout.flow('horizontal'), style: {margin: '0'}});
+      row.add(ui.Label(a.key.toUpperCase() + ' vs ' + b.key.toUpperCase(), {width: '150px', margin: '8px 0 0 4px', fontSize: '12px'}));
+      row.add(select);
+      ahpComparisonPanel.add(row);
+    });
+  });
+  
+  var ahpWeightsButton = ui.Button('Calculate AHP Weights', function() {
+    var comparisons = {};
+    Object.keys(ahpSelects).forEach(function(pairKey) {
+      comparisons[pairKey] = parseSaaty(ahpSelects[pairKey].getValue());
+    });
+    
+    var result = GrapeML.setAHPComparisons(comparisons);
+    
+    ahpResultPanel.clear();
+    ahpCriteria.forEach(function(criterion) {
+      ahpResultPanel.add(ui.Label(criterion.label + ': ' + (result.weights[criterion.key] * 100).toFixed(1) + '%',
+                                  {fontSize: '12px', margin: '2px 8px'}));
+    });
+    ahpResultPanel.add(ui.Label('Consistency Ratio: ' + result.consistencyRatio.toFixed(3) +
+                                (result.consistent ? ' (acceptable)' : ' (inconsistent, revise comparisons)'), {
+      fontWeight: 'bold',
+      color: result.consistent ? '#228B22' : '#D81B60',
+      margin: '4px 8px'
+    }));
+  });
+  ahpComparisonPanel.add(ahpWeightsButton);
+  ahpComparisonPanel.add(ahpResultPanel);
+  
+  var ahpToggleButton = ui.Button('Edit AHP Weights', function() {
+    var shown = ahpComparisonPanel.style().get('shown');
+    ahpComparisonPanel.style().set('shown', !shown);
+  });
+  
   // Update UI state
   function updateUI() {
     // If at least two regions have been analyzed, enable comparison button
@@ -1360,6 +5675,20 @@ function createModule3() {
       compareChartPanel.clear();
       compareInfoPanel.clear();
     }
+    
+    renderHighSuitabilityLegend();
+  }
+  
+  // Legend row for the high suitability points, with the threshold each analyzed region used
+  function renderHighSuitabilityLegend() {
+    var thresholds = Object.keys(areaResults).sort(function(a, b) {
+      return Number(a.slice(6)) - Number(b.slice(6));
+    }).map(function(key) {
+      return 'Region ' + key.slice(6) + ' ' + GrapeML.formatThreshold(areaResults[key][2023].threshold);
+    });
+    highSuitabilityLegend.clear();
+    highSuitabilityLegend.add(createLegendRow('#FF1493', 'High Suitability Points (' +
+      (thresholds.length ? thresholds.join(', ') : 'at or above the selected threshold') + ')'));
   }
   
   panel.add(ui.Label('3. Operations', {fontWeight: 'bold', margin: '10px 0 4px'}));
@@ -1383,6 +5712,44 @@ function createModule3() {
   panel.add(actionPanel2);
   panel.add(compareButton);
   
+  // Add model settings
+  panel.add(ui.Label('4. Model Settings', {fontWeight: 'bold', margin: '10px 0 4px'}));
+  panel.add(ui.Panel([ui.Label('Classifier:', {margin: '8px 4px 0 8px'}), classifierSelect],
+                     ui.Panel.Layout.flow('horizontal')));
+  panel.add(ui.Panel([ui.Label('Training:', {margin: '8px 4px 0 8px'}), scopeSelect],
+                     ui.Panel.Layout.flow('horizontal')));
+  panel.add(ui.Label('The national model is trained once, then applied to every region so results are comparable.',
+                     {fontSize: '12px', color: '#666', margin: '0 8px'}));
+  panel.add(bioclimaticFeaturesCheckbox);
+  panel.add(ui.Panel([ui.Label('Threshold:', {margin: '8px 4px 0 8px'}), thresholdMethodSelect, thresholdValueInput],
+                     ui.Panel.Layout.flow('horizontal')));
+  panel.add(ui.Label('The AHP overlay always uses the fixed value.', {fontSize: '12px', color: '#666', margin: '0 8px'}));
+  panel.add(ui.Panel([ui.Label('Background:', {margin: '8px 4px 0 8px'}), pseudoAbsenceSelect, classRatioSelect],
+                     ui.Panel.Layout.flow('horizontal')));
+  panel.add(ui.Panel([ui.Label('Validation:', {margin: '8px 4px 0 8px'}), cvBlockingSelect,
+                      ui.Label('Folds:', {margin: '8px 4px 0 8px'}), cvFoldsSelect],
+                     ui.Panel.Layout.flow('horizontal')));
+  panel.add(ui.Label('Saved Models', {fontWeight: 'bold', margin: '8px 0 4px'}));
+  panel.add(ui.Panel([ui.Label('Model:', {margin: '8px 4px 0 8px'}), modelSelect],
+                     ui.Panel.Layout.flow('horizontal')));
+  panel.add(modelNameInput);
+  panel.add(modelAssetInput);
+  panel.add(ui.Panel([saveModelButton, loadModelButton], ui.Panel.Layout.flow('horizontal')));
+  panel.add(modelStatusLabel);
+  panel.add(ui.Label('AHP Weighted Overlay', {fontWeight: 'bold', margin: '8px 0 4px'}));
+  panel.add(ui.Label('Used when the classifier cannot be trained (fewer than 5 vineyards), or for every region when enabled below.', {fontSize: '12px', color: '#666'}));
+  panel.add(ahpModeCheckbox);
+  panel.add(ahpToggleButton);
+  panel.add(ahpComparisonPanel);
+  
+  panel.add(ui.Label('5. Model Diagnostics', {fontWeight: 'bold', margin: '10px 0 4px'}));
+  panel.add(compareClassifiersButton);
+  panel.add(ui.Panel([searchMethodSelect, searchMetricSelect, tuneButton], ui.Panel.Layout.flow('horizontal')));
+  panel.add(diagnosticsPanel);
+  
+  panel.add(ui.Label('6. Model Explanation', {fontWeight: 'bold', margin: '10px 0 4px'}));
+  panel.add(explanationPanel);
+  
   // Add usage instructions
   panel.add(ui.Label('Usage Instructions:', {fontWeight: 'bold', margin: '16px 0 4px'}));
   panel.add(ui.Label('1. Click "Start Drawing Region" to draw a region'));
@@ -1403,7 +5770,13 @@ function createModule3() {
   });
   
   legendPanel.add(createLegendRow('#00FF00', 'Suitable Planting Areas'));
-  legendPanel.add(createLegendRow('#FF1493', 'High Suitability Points (>70%)'));
+  var highSuitabilityLegend = ui.Panel({style: {margin: '0', padding: '0'}});
+  legendPanel.add(highSuitabilityLegend);
+  renderHighSuitabilityLegend();
+  legendPanel.add(createLegendRow(GrapeML.scoreBands[2].color, 'AHP Suitability Score (AHP mode or fallback)'));
+  legendPanel.add(createClassLegend(GrapeML.scoreBands));
+  legendPanel.add(createLegendRow(UNCERTAINTY_VIS.palette[1], 'Prediction Uncertainty (darker = less certain)'));
+  legendPanel.add(createLegendRow('#FF6F00', 'Extrapolation (outside training range)'));
   legendPanel.add(createLegendRow('purple', 'Existing Vineyards (2023)'));
   
   panel.add(legendPanel);
@@ -1431,6 +5804,26 @@ function createModule4() {
     margin: '0 0 12px'
   }));
   
+  // Add threshold profile selector
+  var profileDescription = ui.Label('', {fontSize: '12px', color: '#666', margin: '0 0 8px'});
+  var profileSelect = ui.Select({
+    items: Object.keys(GrapeML.thresholdProfiles),
+    value: AppState.state.profile,
+    onChange: function(name) {
+      AppState.setProfile(name);
+      renderProfile();
+    },
+    style: {width: '200px'}
+  });
+  var profileRow = ui.Panel({
+    layout: ui.Panel.Layout.flow('horizontal'),
+    style: {margin: '0 0 4px'}
+  });
+  profileRow.add(ui.Label('Threshold Profile:', {margin: '8px 8px 0 0', fontWeight: 'bold'}));
+  profileRow.add(profileSelect);
+  panel.add(profileRow);
+  panel.add(profileDescription);
+  
   // Create table panel
   var tablePanel = ui.Panel({
     layout: ui.Panel.Layout.flow('vertical'),
@@ -1459,8 +5852,6 @@ function createModule4() {
   headerRow.add(ui.Label('Ideal Range', {width: '35%', textAlign: 'center', fontWeight: 'bold'}));
   headerRow.add(ui.Label('Unit', {width: '25%', textAlign: 'center', fontWeight: 'bold'}));
   
-  tablePanel.add(headerRow);
-  
   // Add data rows
   function addTableRow(factor, range, unit, highlight) {
     var rowStyle = {
@@ -1483,13 +5874,6 @@ function createModule4() {
     tablePanel.add(row);
   }
   
-  // Add actual data rows
-  addTableRow('Growing Season Temperature (GST)', '14.0 - 16.0', '°C', true);
-  addTableRow('Growing Degree Days (GDD)', '950 - 1250', 'GDD', false);
-  addTableRow('Growing Season Precipitation (GSP)', '250 - 600', 'mm', true);
-  addTableRow('Slope', '2 - 15', 'degrees', false);
-  addTableRow('Elevation', '5 - 250', 'meters', true);
-  
   // Add table to main panel
   panel.add(tablePanel);
   
@@ -1543,34 +5927,44 @@ function createModule4() {
     }
   });
   
-  codePanel.add(ui.Label('computeSuitabilityMask: function(factors) {'));
-  codePanel.add(ui.Label('  var gstMask = factors.gst.gte(14.0).and(factors.gst.lte(16.0));'));
-  codePanel.add(ui.Label('  var gddMask = factors.gdd.gte(950).and(factors.gdd.lte(1250));'));
-  codePanel.add(ui.Label('  var gspMask = factors.gsp.gte(250).and(factors.gsp.lte(600));'));
-  codePanel.add(ui.Label('  var slopeMask = factors.slope.gte(2).and(factors.slope.lte(15));'));
-  codePanel.add(ui.Label('  var elevationMask = factors.elevation.gte(5).and(factors.elevation.lte(250));'));
-  codePanel.add(ui.Label('  return gstMask.and(gddMask).and(gspMask).and(slopeMask).and(elevationMask);'));
-  codePanel.add(ui.Label('}'));
-  
   panel.add(codePanel);
   
+  // Fill the table and code panel from the active threshold profile
+  function renderProfile() {
+    var profile = GrapeML.getThresholdProfile();
+    profileDescription.setValue(profile.description || '');
+    
+    tablePanel.clear();
+    tablePanel.add(headerRow);
+    GrapeML.getActiveCriteria(profile).forEach(function(criterion, index) {
+      addTableRow(criterion.label, GrapeML.formatRange(criterion, profile[criterion.key]), criterion.unit, index % 2 === 0);
+    });
+    
+    codePanel.clear();
+    GrapeML.describeSuitabilityMask(profile).forEach(function(line) {
+      codePanel.add(ui.Label(line));
+    });
+  }
+  
+  renderProfile();
+  
   return panel;
 }
 
 
 
 // Use simple conditions to calculate basic suitability (without machine learning)
-function computeBasicSuitability(region, year) {
+function computeBasicSuitability(region, year, profile) {
   // Get environmental factors
   var factors = GrapeML.computeEnvironmentalFactors(region, year);
   
   // Apply simple filtering conditions to calculate suitability
-  var suitabilityMask = GrapeML.computeSuitabilityMask(factors);
+  var suitabilityMask = GrapeML.computeSuitabilityMask(factors, profile);
   
   return suitabilityMask.rename('mask').clip(region);
 }
 
-function createChart(title, trend) {
+function createChart(title, trend, threshold) {
   return ui.Chart.feature.byFeature(trend, 'year', ['suitable_km2', 'highsuit_km2', 'vineyard_km2'])
     .setChartType('LineChart')
     .setOptions({
@@ -1579,7 +5973,7 @@ function createChart(title, trend) {
       vAxis: {title: 'Area (km²)'},
       series: {
         0: {color: 'green', label: 'Suitable Areas'},
-        1: {color: 'darkgreen', label: 'High Suitability Areas (>70%)'},
+        1: {color: 'darkgreen', label: 'High Suitability Areas (' + GrapeML.formatThreshold(threshold) + ')'},
         2: {color: 'purple', label: 'Vineyards'}
       },
       lineWidth: 2,
@@ -1591,137 +5985,159 @@ function createChart(title, trend) {
 }
 
 
-// Load Kent region quickly, then load other regions in the background
-function initializeRegions() {
-  showLoading("Loading Kent region data...");
-  
-  // First find the index of Kent
-  var kentIndex = -1;
-  for (var i = 0; i < regionNamesRaw.length; i++) {
-    if (regionNamesRaw[i] === 'Kent') {
-      kentIndex = i;
-      break;
-    }
-  }
-  
-  // If Kent is not found, use the first region
-  if (kentIndex === -1) {
-    kentIndex = 0;
-    currentCountyName = regionNamesRaw[0];
-  } else {
-    currentCountyName = 'Kent';
-  }
-  
-  // Load Kent region first
-  var county = ukLevel2.filter(ee.Filter.eq('ADM2_NAME', currentCountyName)).first();
-  var geom = county.geometry();
-  var checkYear = '2023';
-  
-  var mask = computeMask(geom, checkYear);
-  
-  // Asynchronously calculate Kent region area
-  mask.multiply(ee.Image.pixelArea())
-    .reduceRegion({
-      reducer: ee.Reducer.sum(),
-      geometry: geom,
-      scale: 250,
-      maxPixels: 1e10
-    })
-    .evaluate(function(result) {
-      var area = result ? result.mask : 0;
-      var hasArea = area > 0;
+// Load Kent region (or the linked region) quickly, then load other regions in the background
+function initializeRegions(link) {
+  TaskQueue.submit({
+    name: 'Kent region loading',
+    key: 'regions',
+    message: "Loading Kent region data...",
+    run: function(job) {
+      // Kent, or the first region when Kent is not in the list
+      var name = AppState.state.countyName;
+      var skipIdx = AppState.state.regionNames.indexOf(name);
       
-      // Add Kent to suitable list
-      if (hasArea) {
-        suitableNames.push(currentCountyName);
-      } else {
-        unsuitableNames.push(currentCountyName);
-        unsuitableGeomsList.push(geom);
+      // Load Kent region first
+      var county = ukLevel2.filter(ee.Filter.eq('ADM2_NAME', name)).first();
+      var geom = county.geometry();
+      var checkYear = '2023';
+      
+      var mask = computeMask(geom, checkYear);
+      
+      // Asynchronously calculate Kent region area
+      job.evaluate(mask.multiply(ee.Image.pixelArea())
+        .reduceRegion({
+          reducer: ee.Reducer.sum(),
+          geometry: geom,
+          scale: 250,
+          maxPixels: 1e10
+        }), function(result) {
+          var area = result ? result.mask : 0;
+          AppState.addRegionResult(name, geom, area > 0);
+          
+          // Build UI to display Kent data
+          job.done();
+          AppState.setView('main');
+          if (link) {
+            showLinkedView(link);
+          }
+          
+          // Start loading other regions in the background
+          TaskQueue.submit({
+            name: 'Region loading',
+            key: 'regions',
+            lane: 'background',
+            message: "Loading region data...",
+            run: function(backgroundJob) {
+              continueLoadingRegions(backgroundJob, 0, skipIdx);
+            }
+          });
+        });
+    }
+  });
+}
+
+// Show the period and viewport of a deep link once the main panel is built
+function showLinkedView(link) {
+  var state = AppState.state;
+  if (state.viewMode === 'Multi-Year' && state.yearRange) {
+    AppState.showYearRange(state.yearRange.start, state.yearRange.end);
+  } else if (state.viewMode === 'Future') {
+    AppState.showProjection(state.projection.scenario, state.projection.year);
+  }
+  
+  // Queued behind the map jobs, so centering on the region does not override it
+  if (link.viewport) {
+    TaskQueue.submit({
+      name: 'Linked viewport',
+      key: 'viewport',
+      message: "Restoring linked view...",
+      run: function(job) {
+        restoreViewport(mapPanel, link.viewport);
+        job.done();
       }
-      
-      // Temporary initial region list, only includes Kent
-      finalRegionNames = suitableNames.slice();
-      
-      // Build UI to display Kent data
-      hideLoading();
-      rebuildMainPanel();
-      
-      // Start loading other regions in the background
-      backgroundLoadingInProgress = true;
-      continueLoadingRegions(0, kentIndex);
     });
+  }
 }
 
-function continueLoadingRegions(startIdx, skipIdx) {
-  if (startIdx >= regionNamesRaw.length) {
-    finalizeRegionLists();
+function continueLoadingRegions(job, startIdx, skipIdx) {
+  var regionNames = AppState.state.regionNames;
+  if (startIdx >= regionNames.length) {
+    job.done();
+    AppState.finishRegionLoading();
     return;
   }
   
   if (startIdx === skipIdx) {
-    continueLoadingRegions(startIdx + 1, skipIdx);
+    continueLoadingRegions(job, startIdx + 1, skipIdx);
     return;
   }
   
-  var name = regionNamesRaw[startIdx];
+  var name = regionNames[startIdx];
   var county = ukLevel2.filter(ee.Filter.eq('ADM2_NAME', name)).first();
   var geom = county.geometry();
   var checkYear = '2023';
   
-  var savedCurrentCountyName = currentCountyName;
-  currentCountyName = name; 
-  
   var mask = computeMask(geom, checkYear);
   
-  showBackgroundLoading("Loading region: " + (startIdx + 1) + "/" + regionNamesRaw.length);
+  job.progress("Loading region: " + (startIdx + 1) + "/" + regionNames.length);
   
-  mask.multiply(ee.Image.pixelArea())
+  job.evaluate(mask.multiply(ee.Image.pixelArea())
     .reduceRegion({
       reducer: ee.Reducer.sum(),
       geometry: geom,
       scale: 250,
       maxPixels: 1e10
-    })
-    .evaluate(function(result) {
+    }), function(result) {
       var area = result ? result.mask : 0;
-      var hasArea = area > 0;
-      
-      if (hasArea) {
-        suitableNames.push(name);
-      } else {
-        unsuitableNames.push(name);
-        unsuitableGeomsList.push(geom);
-      }
-      
-      currentCountyName = savedCurrentCountyName;
+      AppState.addRegionResult(name, geom, area > 0);
       
-      ee.Number(1).evaluate(function() {
-        continueLoadingRegions(startIdx + 1, skipIdx);
+      job.defer(function() {
+        continueLoadingRegions(job, startIdx + 1, skipIdx);
       });
     });
 }
 
-// Load all regions
-function finalizeRegionLists() {
-  finalRegionNames = suitableNames.slice();
-  if (unsuitableNames.length > 0) {
-    finalRegionNames.push('Unsuitable for 3 Years');
-  }
-  
-  backgroundLoadingInProgress = false;
-  hideBackgroundLoading();
-  
-  var isViewingTable = controlPanel.widgets().length() > 0 && 
-                        controlPanel.widgets().get(0).getValue && 
-                        controlPanel.widgets().get(0).getValue() === 'County Table (Click to Select)';
+// Redraw the analysis page when its state changes
+var REGION_UPDATE_ACTIONS = [
+  'setVariety', 'setProfile', 'setScoring', 'setExcludeFrost', 'setRequireSouthFacing',
+  'setExcludeLandCover', 'setExclusionSettings', 'setClimateSource'
+];
+
+AppState.subscribe(function(action, state) {
+  if (state.page !== 'grapeAnalysis') return;
   
-  if (isViewingTable) {
-    showCountyTable();
+  if (action === 'setView' || action === 'selectCounty') {
+    if (state.view === 'table') {
+      showCountyTable();
+    } else {
+      rebuildMainPanel();
+    }
+  } else if (action === 'finishRegionLoading') {
+    // Show the regions that finished loading while the table was open
+    if (state.view === 'table') {
+      showCountyTable();
+    }
+  } else if (action === 'setLayerVisible') {
+    // Toggles only show or hide layers that are already drawn
+    Object.keys(state.layers).forEach(function(id) {
+      LayerManager.setShown(id, state.layers[id]);
+    });
+  } else if (action === 'setViewMode') {
+    updateViewMode();
+  } else if (action === 'showYear') {
+    updateYearlyMap(getCurrentRegion(), state.year);
+  } else if (action === 'showYearRange') {
+    showPersistentSuitability(getCurrentRegion(), state.yearRange.start, state.yearRange.end);
+  } else if (action === 'showProjection') {
+    showFutureProjection(getCurrentRegion(), state.projection.scenario, state.projection.year);
+  } else if (REGION_UPDATE_ACTIONS.indexOf(action) !== -1) {
+    updateRegion();
   }
-}
+});
 
 // Rebuild main panel
 function rebuildMainPanel() {
+  var state = AppState.state;
   controlPanel.clear();
   
   var backButton = ui.Button({
@@ -1734,7 +6150,7 @@ function rebuildMainPanel() {
   });
   controlPanel.add(backButton);
 
-  if (backgroundLoadingInProgress) {
+  if (TaskQueue.isBusy('background')) {
     showBackgroundLoading("Loading region data...");
   }
 
@@ -1742,7 +6158,9 @@ function rebuildMainPanel() {
 
   var viewTableButton = ui.Button({
     label: 'View Region Table',
-    onClick: showCountyTable
+    onClick: function() {
+      AppState.setView('table');
+    }
   });
   controlPanel.add(viewTableButton);
 
@@ -1753,7 +6171,7 @@ function rebuildMainPanel() {
 
   countyInput = ui.Textbox({
     placeholder: 'Enter Region Name...',
-    value: currentCountyName,
+    value: state.countyName,
     style: {width: '370px'},
     disabled: true
   });
@@ -1763,6 +6181,188 @@ function rebuildMainPanel() {
   inputPanel.add(countyInput);
   controlPanel.add(inputPanel);
 
+  var varietyPanel = ui.Panel({
+    layout: ui.Panel.Layout.flow('horizontal'),
+    style: {width: '100%'}
+  });
+
+  var varietySelect = ui.Select({
+    items: [GENERIC_VARIETY].concat(Object.keys(GrapeML.varieties)),
+    value: state.variety,
+    onChange: function(name) {
+      AppState.setVariety(name);
+      profileSelect.setDisabled(name !== GENERIC_VARIETY);
+    },
+    style: {width: '250px'}
+  });
+
+  varietyPanel.add(ui.Label('Grape Variety:', {margin: '8px 8px 0 8px'}));
+  varietyPanel.add(varietySelect);
+  controlPanel.add(varietyPanel);
+
+  // Threshold profile of the generic envelope; a variety brings its own thresholds
+  var profilePanel = ui.Panel({
+    layout: ui.Panel.Layout.flow('horizontal'),
+    style: {width: '100%'}
+  });
+
+  var profileDescription = ui.Label(GrapeML.thresholdProfiles[state.profile].description || '',
+                                    {fontSize: '12px', color: '#666', margin: '0 8px 4px 8px'});
+  var profileSelect = ui.Select({
+    items: Object.keys(GrapeML.thresholdProfiles),
+    value: state.profile,
+    onChange: function(name) {
+      AppState.setProfile(name);
+      profileDescription.setValue(GrapeML.thresholdProfiles[name].description || '');
+    },
+    disabled: state.variety !== GENERIC_VARIETY,
+    style: {width: '250px'}
+  });
+
+  profilePanel.add(ui.Label('Threshold Profile:', {margin: '8px 8px 0 8px'}));
+  profilePanel.add(profileSelect);
+  controlPanel.add(profilePanel);
+  controlPanel.add(profileDescription);
+
+  var scoringPanel = ui.Panel({
+    layout: ui.Panel.Layout.flow('horizontal'),
+    style: {width: '100%'}
+  });
+
+  var scoringSelect = ui.Select({
+    items: Object.keys(SCORING_MODES),
+    value: state.scoring,
+    onChange: function(mode) {
+      AppState.setScoring(mode);
+    },
+    style: {width: '250px'}
+  });
+
+  scoringPanel.add(ui.Label('Scoring Mode:', {margin: '8px 8px 0 8px'}));
+  scoringPanel.add(scoringSelect);
+  controlPanel.add(scoringPanel);
+
+  var frostExclusionCheckbox = ui.Checkbox({
+    label: 'Exclude spring/autumn frost-risk areas',
+    value: state.excludeFrost,
+    onChange: function(checked) {
+      AppState.setExcludeFrost(checked);
+    },
+    style: {margin: '4px 8px'}
+  });
+  controlPanel.add(frostExclusionCheckbox);
+
+  var southFacingCheckbox = ui.Checkbox({
+    label: 'Require SE-SW facing slopes (where slope > 2°)',
+    value: state.requireSouthFacing,
+    onChange: function(checked) {
+      AppState.setRequireSouthFacing(checked);
+    },
+    style: {margin: '4px 8px'}
+  });
+  controlPanel.add(southFacingCheckbox);
+
+  var exclusionClassesPanel = ui.Panel({
+    layout: ui.Panel.Layout.flow('vertical'),
+    style: {margin: '0 0 4px 32px', shown: false}
+  });
+
+  var exclusionClassesButton = ui.Button({
+    label: 'Excluded Classes',
+    disabled: !state.excludeLandCover,
+    onClick: function() {
+      exclusionClassesPanel.style().set('shown', !exclusionClassesPanel.style().get('shown'));
+    },
+    style: {margin: '0 8px 4px 32px'}
+  });
+
+  // Rebuild the class checkboxes for the configured land-cover product
+  function renderExclusionClasses() {
+    exclusionClassesPanel.clear();
+    
+    var productKeys = Object.keys(GrapeML.landCoverProducts).filter(function(key) {
+      return GrapeML.landCoverProducts[key].asset !== null;
+    });
+    exclusionClassesPanel.add(ui.Select({
+      items: productKeys.map(function(key) {
+        return {label: GrapeML.landCoverProducts[key].label, value: key};
+      }),
+      value: state.landCoverExclusion.product,
+      onChange: function(key) {
+        AppState.setExclusionSettings({product: key});
+        renderExclusionClasses();
+      },
+      style: {width: '220px'}
+    }));
+    
+    var product = GrapeML.getLandCoverProduct();
+    var classCheckboxes = {};
+    Object.keys(product.classes).forEach(function(value) {
+      classCheckboxes[value] = ui.Checkbox({
+        label: value + ' ' + product.classes[value],
+        value: GrapeML.getExcludedClasses().indexOf(Number(value)) !== -1,
+        style: {margin: '0 8px', fontSize: '12px'}
+      });
+      exclusionClassesPanel.add(classCheckboxes[value]);
+    });
+    
+    var protectedCheckbox = ui.Checkbox({
+      label: 'Protected areas (WDPA)',
+      value: state.landCoverExclusion.excludeProtected,
+      style: {margin: '0 8px', fontSize: '12px'}
+    });
+    exclusionClassesPanel.add(protectedCheckbox);
+    
+    exclusionClassesPanel.add(ui.Button({
+      label: 'Apply',
+      onClick: function() {
+        var classes = Object.keys(classCheckboxes).filter(function(value) {
+          return classCheckboxes[value].getValue();
+        }).map(Number);
+        AppState.setExclusionSettings({
+          excludedClasses: classes,
+          excludeProtected: protectedCheckbox.getValue()
+        });
+      }
+    }));
+  }
+  renderExclusionClasses();
+
+  var exclusionCheckbox = ui.Checkbox({
+    label: 'Exclude urban, water, woodland and protected land',
+    value: state.excludeLandCover,
+    onChange: function(checked) {
+      exclusionClassesButton.setDisabled(!checked);
+      AppState.setExcludeLandCover(checked);
+    },
+    style: {margin: '4px 8px'}
+  });
+
+  controlPanel.add(exclusionCheckbox);
+  controlPanel.add(exclusionClassesButton);
+  controlPanel.add(exclusionClassesPanel);
+
+  var sourcePanel = ui.Panel({
+    layout: ui.Panel.Layout.flow('horizontal'),
+    style: {width: '100%'}
+  });
+
+  var sourceKeys = Object.keys(GrapeML.climateSources);
+  var sourceSelect = ui.Select({
+    items: sourceKeys.map(function(key) {
+      return {label: GrapeML.climateSources[key].label, value: key};
+    }),
+    value: state.climateSource,
+    onChange: function(key) {
+      AppState.setClimateSource(key);
+    },
+    style: {width: '250px'}
+  });
+
+  sourcePanel.add(ui.Label('Climate Data:', {margin: '8px 8px 0 8px'}));
+  sourcePanel.add(sourceSelect);
+  controlPanel.add(sourcePanel);
+
   controlPanel.add(ui.Label('2. Suitable Area (km²)', {fontWeight: 'bold'}));
   chartPanel = ui.Panel();
   controlPanel.add(chartPanel);
@@ -1775,8 +6375,7 @@ function rebuildMainPanel() {
 var singleYearButton = ui.Button({
     label: 'Single Year View',
     onClick: function() {
-      modeSelect = 'Single Year';
-      updateViewMode();
+      AppState.setViewMode('Single Year');
     },
     style: {
       width: '100%',       // 占满整行
@@ -1794,8 +6393,7 @@ var singleYearButton = ui.Button({
   var multiYearButton = ui.Button({
     label: 'Multi-Year Analysis',
     onClick: function() {
-      modeSelect = 'Multi-Year';
-      updateViewMode();
+      AppState.setViewMode('Multi-Year');
     },
     style: {
       width: '100%',       // 占满整行
@@ -1805,17 +6403,27 @@ var singleYearButton = ui.Button({
     }
   });
   controlPanel.add(multiYearButton);
+  
+  controlPanel.add(ui.Label('', {margin: '4px 0'}));
+  
+  var futureButton = ui.Button({
+    label: 'Future Projection (CMIP6)',
+    onClick: function() {
+      AppState.setViewMode('Future');
+    },
+    style: {
+      width: '100%',
+      margin: '4px 0',
+      height: '36px',
+      textAlign: 'center'
+    }
+  });
+  controlPanel.add(futureButton);
 
   yearSlider = ui.Slider({
-    min: 2010, max: 2023, value: 2023, step: 1,
-    onChange: function() { 
-      if (currentRegion) {
-        showLoading("Updating year data...");
-        ee.Number(1).evaluate(function() {
-          updateYearlyMap(currentRegion, yearSlider.getValue());
-          hideLoading();
-        });
-      }
+    min: 2010, max: 2023, value: state.year, step: 1,
+    onChange: function(year) {
+      AppState.showYear(year);
     },
     style: {width: '350px'}
   });
@@ -1833,12 +6441,14 @@ var singleYearButton = ui.Button({
   var fromLabel = ui.Label('Start Year:', {margin: '4px 4px 0 0'});
   startYearInput = ui.Textbox({
     placeholder: '2021',
+    value: state.yearRange ? String(state.yearRange.start) : '',
     style: {width: '80px', margin: '0 8px 0 0'}
   });
 
   var toLabel = ui.Label('End Year:', {margin: '4px 4px 0 0'});
   endYearInput = ui.Textbox({
     placeholder: '2023',
+    value: state.yearRange ? String(state.yearRange.end) : '',
     style: {width: '80px'}
   });
 
@@ -1848,33 +6458,52 @@ var singleYearButton = ui.Button({
   yearInputsContainer.add(endYearInput);
   yearInputPanel.add(yearInputsContainer);
 
+  futureInputPanel = ui.Panel({
+    layout: ui.Panel.Layout.flow('horizontal'),
+    style: {width: '100%', margin: '4px 0'}
+  });
+
+  scenarioSelect = ui.Select({
+    items: Object.keys(GrapeML.cmip6Scenarios).map(function(key) {
+      return {label: GrapeML.cmip6Scenarios[key], value: key};
+    }),
+    value: state.projection.scenario,
+    style: {width: '120px', margin: '0 8px 0 0'}
+  });
+
+  futureYearSelect = ui.Select({
+    items: PROJECTION_MAP_YEARS.map(String),
+    value: String(state.projection.year),
+    style: {width: '80px'}
+  });
+
+  futureInputPanel.add(ui.Label('Scenario:', {margin: '8px 4px 0 0'}));
+  futureInputPanel.add(scenarioSelect);
+  futureInputPanel.add(ui.Label('Map Year:', {margin: '8px 4px 0 0'}));
+  futureInputPanel.add(futureYearSelect);
+
   controlPanel.add(yearSlider);
   controlPanel.add(yearInputPanel);
+  controlPanel.add(futureInputPanel);
 
   yearInputPanel.style().set('shown', false);
+  futureInputPanel.style().set('shown', false);
 
   var updateButton = ui.Button({
     label: 'Update Map',
     onClick: function() {
-      if (!currentRegion) return;
-      
-      if (modeSelect === 'Single Year') {
-        showLoading("Updating map...");
-        ee.Number(1).evaluate(function() {
-          updateYearlyMap(currentRegion, yearSlider.getValue());
-          hideLoading();
-        });
+      var viewMode = AppState.state.viewMode;
+      if (viewMode === 'Single Year') {
+        AppState.showYear(yearSlider.getValue());
+      } else if (viewMode === 'Future') {
+        AppState.showProjection(scenarioSelect.getValue(), Number(futureYearSelect.getValue()));
       } else {
         var s = parseInt(startYearInput.getValue());
         var e = parseInt(endYearInput.getValue());
         if (isNaN(s) || isNaN(e) || s >= e) {
           return;
         }
-        showLoading("Analyzing multi-year data...");
-        ee.Number(1).evaluate(function() {
-          showPersistentSuitability(currentRegion, s, e);
-          hideLoading();
-        });
+        AppState.showYearRange(s, e);
       }
     }
   });
@@ -1891,233 +6520,458 @@ var singleYearButton = ui.Button({
     }
   });
 
-  checkboxRegion = ui.Checkbox({
-    label: '', 
-    value: true, 
-    onChange: function() {
-      showLoading("Updating map...");
-      ee.Number(1).evaluate(function() {
-        updateRegion();
-        hideLoading();
-      });
-    }
-  });
-  var regionRow = ui.Panel([checkboxRegion, createLegendRow('orange', 'Region Boundary')], 
-    ui.Panel.Layout.flow('horizontal'));
-  legendPanel.add(regionRow);
-
-  checkboxSuitability = ui.Checkbox({
-    label: '', 
-    value: true, 
-    onChange: function() {
-      showLoading("Updating map...");
-      ee.Number(1).evaluate(function() {
-        updateRegion();
-        hideLoading();
-      });
-    }
-  });
-  var suitabilityRow = ui.Panel([checkboxSuitability, createLegendRow('#00FF00', 'Suitable Planting Areas')],
-    ui.Panel.Layout.flow('horizontal'));
-  legendPanel.add(suitabilityRow);
+  // Checkbox that shows or hides one map layer
+  function layerCheckbox(layer) {
+    return ui.Checkbox({
+      label: '', 
+      value: state.layers[layer], 
+      onChange: function(checked) {
+        AppState.setLayerVisible(layer, checked);
+      }
+    });
+  }
 
-  checkboxVineyards = ui.Checkbox({
-    label: '', 
-    value: true, 
-    onChange: function() {
-      showLoading("Updating map...");
-      ee.Number(1).evaluate(function() {
-        updateRegion();
-        hideLoading();
-      });
+  LayerManager.legend().forEach(function(entry) {
+    legendPanel.add(ui.Panel([layerCheckbox(entry.id), createLegendRow(entry.color, entry.label)],
+      ui.Panel.Layout.flow('horizontal')));
+    if (entry.classes) {
+      legendPanel.add(createClassLegend(entry.classes));
     }
   });
-  var vineyardsRow = ui.Panel([checkboxVineyards, createLegendRow('purple', 'Existing Vineyards (2023)')],
-    ui.Panel.Layout.flow('horizontal'));
-  legendPanel.add(vineyardsRow);
 
   controlPanel.add(legendPanel);
 
-  currentRegion = getRegionGeometry(currentCountyName);
+  updateViewMode();
   updateRegion();
 }
 
 function updateViewMode() {
-  if (modeSelect === 'Single Year') {
-    yearSlider.style().set('shown', true);
-    yearInputPanel.style().set('shown', false);
-  } else {
-    yearSlider.style().set('shown', false);
-    yearInputPanel.style().set('shown', true);
-  }
+  var viewMode = AppState.state.viewMode;
+  yearSlider.style().set('shown', viewMode === 'Single Year');
+  yearInputPanel.style().set('shown', viewMode === 'Multi-Year');
+  futureInputPanel.style().set('shown', viewMode === 'Future');
+}
+
+// Chart data already computed, by county and the settings it depends on, so redrawing a chart reuses it
+var timeSeriesCache = {};
+var varietyAreaCache = {};
+
+// Key of the county and the settings that change its suitable area time series
+function getTimeSeriesCacheKey() {
+  var state = AppState.state;
+  return JSON.stringify([
+    state.countyName, state.variety, state.scoring, state.excludeFrost, state.requireSouthFacing,
+    state.excludeLandCover && state.landCoverExclusion, state.climateSource, state.profile
+  ]);
+}
+
+// Key of the county, the registered varieties and the settings that change their 2023 suitable area
+function getVarietyAreaCacheKey() {
+  var state = AppState.state;
+  return JSON.stringify([
+    state.countyName, Object.keys(GrapeML.varieties), state.excludeLandCover && state.landCoverExclusion,
+    state.climateSource
+  ]);
 }
 
 function updateRegion() {
-  chartPanel.clear();
-  mapPanel.layers().reset();
-  yearSlider.setValue(2023);
-  
-  if (!currentRegion) {
-    currentRegion = getRegionGeometry(currentCountyName);
-  }
+  // A new region or new settings make every pending map job stale
+  TaskQueue.cancel('map');
+  TaskQueue.submit({
+    name: 'Time series chart',
+    key: 'chart',
+    lane: 'chart',
+    message: "Building a time series chart...",
+    run: function(job) {
+      var state = AppState.state;
+      var region = getCurrentRegion();
+      var year = String(state.year);
+      chartPanel.clear();
 
-  mapPanel.centerObject(currentRegion, 8);
+      mapPanel.centerObject(region, 8);
 
-  if (checkboxRegion.getValue()) {
-    mapPanel.addLayer(currentRegion, {
-      color: 'orange',
-      fillColor: '00000000',
-      width: 2
-    }, 'Selected Region');
-  }
+      var scoring = getScoringOptions();
+      if (scoring) {
+        var s = applyExclusion(computeScore(region, year, getSelectedProfile(), scoring), region);
+        LayerManager.set('suitability', s, getScoreVisParams(), getVarietyLabel() + 'Suitability Score ' + year);
+      } else {
+        var m = applyExclusion(computeMask(region, year, getSelectedProfile()), region);
+        LayerManager.set('suitability', m.selfMask(), {
+          palette: ['#00FF00'],
+          opacity: 0.7
+        }, getVarietyLabel() + 'Suitability ' + year);
+      }
+    
+      addFactorLayers(region, state.year);
+      setBaseLayers(region);
 
-  var years = ee.List.sequence(2010, 2023).getInfo();
-  var batchSize = 4; 
-  var features = [];
+      var years = [];
+      for (var y = 2010; y <= 2023; y++) {
+        years.push(y);
+      }
+      
+      // Only years not cached for these settings are computed
+      var cacheKey = getTimeSeriesCacheKey();
+      var cached = timeSeriesCache[cacheKey] = timeSeriesCache[cacheKey] || {};
+      var missingYears = years.filter(function(y) {
+        return !cached[y];
+      });
+      var batchSize = 4; 
+      var features = [];
   
-  showLoading("Building a time series chart...");
-  processBatch(0);
+      processBatch(0);
   
-  function processBatch(startIdx) {
-    if (startIdx >= years.length) {
-      finishChart();
-      return;
-    }
+      function processBatch(startIdx) {
+        if (startIdx >= missingYears.length) {
+          cacheMissingYears();
+          return;
+        }
     
-    var endIdx = Math.min(startIdx + batchSize, years.length);
-    var batchYears = years.slice(startIdx, endIdx);
+        var endIdx = Math.min(startIdx + batchSize, missingYears.length);
+        var batchYears = missingYears.slice(startIdx, endIdx);
     
-    showLoading("Building a time series chart... (" + endIdx + "/" + years.length + ")");
+        job.progress("Building a time series chart... (" + endIdx + "/" + missingYears.length + ")");
     
-    var batchFeatures = batchYears.map(function(y) {
-      var mask = computeMask(currentRegion, String(y));
-      var area = computeArea(mask, currentRegion);
-      return ee.Feature(null, {year: y, area_km2: ee.Number(area).divide(1e6)});
-    });
+        var batchFeatures = batchYears.map(function(y) {
+          if (scoring) {
+            var score = applyExclusion(computeScore(region, String(y), getSelectedProfile(), scoring), region);
+            var bandAreas = ee.Dictionary(computeArea(score, region, GrapeML.scoreBands));
+            return ee.Feature(null, bandAreas.map(function(label, area) {
+              return ee.Number(area).divide(1e6);
+            })).set('year', y);
+          }
+          var mask = computeMask(region, String(y), getSelectedProfile());
+          var area = computeArea(mask, region);
+          if (state.excludeLandCover) {
+            var excludedArea = computeArea(applyExclusion(mask, region), region);
+            return ee.Feature(null, {
+              year: y,
+              area_before_exclusion_km2: ee.Number(area).divide(1e6),
+              area_km2: ee.Number(excludedArea).divide(1e6)
+            });
+          }
+          return ee.Feature(null, {year: y, area_km2: ee.Number(area).divide(1e6)});
+        });
     
-    features = features.concat(batchFeatures);
+        features = features.concat(batchFeatures);
     
-    ee.Number(1).evaluate(function() {
-      processBatch(endIdx);
-    });
-  }
+        job.defer(function() {
+          processBatch(endIdx);
+        });
+      }
+      
+      function cacheMissingYears() {
+        if (features.length === 0) {
+          finishChart();
+          return;
+        }
+        job.evaluate(ee.FeatureCollection(features), function(result) {
+          result.features.forEach(function(feature) {
+            cached[feature.properties.year] = feature.properties;
+          });
+          finishChart();
+        });
+      }
   
-  function finishChart() {
-    var ts = ee.FeatureCollection(features);
-    var chart = ui.Chart.feature.byFeature(ts, 'year', 'area_km2')
-      .setChartType('LineChart')
-      .setOptions({
-        title: 'The suitable area for many years',
-        hAxis: {title: 'year', format: '####'},
-        vAxis: {title: 'area (km²)'},
-        lineWidth: 2,
-        pointSize: 5,
-        height: 220,
-        series: {0: {color: '#228B22'}},
-        backgroundColor: {fill: 'white'},
-        legend: {position: 'none'}
-      });
-    chartPanel.add(chart);
+      function finishChart() {
+        // Constant features from the cache, so the chart has nothing left to compute
+        var ts = ee.FeatureCollection(years.map(function(y) {
+          return ee.Feature(null, cached[y]);
+        }));
+        var chartTitle = 'The suitable area for many years' + (getSelectedProfile() ? ' - ' + state.variety : '');
+        var chart;
+        if (scoring) {
+          // Stacked area per score band
+          var bandLabels = GrapeML.scoreBands.map(function(band) { return band.label; });
+          var bandSeries = {};
+          GrapeML.scoreBands.forEach(function(band, index) {
+            bandSeries[index] = {color: band.color};
+          });
+          chart = ui.Chart.feature.byFeature(ts, 'year', bandLabels)
+            .setChartType('AreaChart')
+            .setOptions({
+              title: chartTitle + ' (' + state.scoring + ')',
+              hAxis: {title: 'year', format: '####'},
+              vAxis: {title: 'area (km²)'},
+              isStacked: true,
+              height: 220,
+              series: bandSeries,
+              backgroundColor: {fill: 'white'},
+              legend: {position: 'bottom'}
+            });
+        } else if (state.excludeLandCover) {
+          // Suitable area before and after land-cover exclusion
+          chart = ui.Chart.feature.byFeature(ts, 'year', ['area_before_exclusion_km2', 'area_km2'])
+            .setChartType('LineChart')
+            .setSeriesNames(['Before exclusion', 'After exclusion'])
+            .setOptions({
+              title: chartTitle,
+              hAxis: {title: 'year', format: '####'},
+              vAxis: {title: 'area (km²)'},
+              lineWidth: 2,
+              pointSize: 5,
+              height: 220,
+              series: {0: {color: '#9E9E9E', lineDashStyle: [4, 4]}, 1: {color: '#228B22'}},
+              backgroundColor: {fill: 'white'},
+              legend: {position: 'bottom'}
+            });
+        } else {
+          chart = ui.Chart.feature.byFeature(ts, 'year', 'area_km2')
+            .setChartType('LineChart')
+            .setOptions({
+              title: chartTitle,
+              hAxis: {title: 'year', format: '####'},
+              vAxis: {title: 'area (km²)'},
+              lineWidth: 2,
+              pointSize: 5,
+              height: 220,
+              series: {0: {color: '#228B22'}},
+              backgroundColor: {fill: 'white'},
+              legend: {position: 'none'}
+            });
+        }
+        chartPanel.add(chart);
     
-    if (checkboxSuitability.getValue()) {
-      var m = computeMask(currentRegion, '2023');
-      mapPanel.addLayer(m.selfMask(), {
-        palette: ['#00FF00'],
-        opacity: 0.7
-      }, 'Suitability 2023');
-    }
+        if (scoring) {
+          GrapeML.scoreBands.forEach(function(band) {
+            chartPanel.add(createLegendRow(band.color, band.label + ' (' + band.min + ' - ' + band.max + ')'));
+          });
+        }
     
-    if (checkboxVineyards.getValue()) {
-      mapPanel.addLayer(vineyards.filterBounds(currentRegion), {
-        color: 'purple',
-        width: 2,
-        fillColor: '800080AA'
-      }, 'Vineyards (2023)');
-    }
+        // Compare the suitable area of every registered variety
+        var varietyKey = getVarietyAreaCacheKey();
+        if (varietyAreaCache[varietyKey]) {
+          finishVarietyChart(varietyAreaCache[varietyKey]);
+          return;
+        }
+        var varietyAreas = {};
+        Object.keys(GrapeML.varieties).forEach(function(name) {
+          var varietyMask = applyExclusion(computeMask(region, '2023', name), region);
+          varietyAreas[name] = ee.Number(computeArea(varietyMask, region)).divide(1e6);
+        });
+        job.evaluate(ee.Dictionary(varietyAreas), function(result) {
+          varietyAreaCache[varietyKey] = result;
+          finishVarietyChart(result);
+        });
+      }
+      
+      function finishVarietyChart(areas) {
+        var varietyFeatures = Object.keys(GrapeML.varieties).map(function(name) {
+          return ee.Feature(null, {variety: name, area_km2: areas[name]});
+        });
+        var varietyChart = ui.Chart.feature.byFeature(ee.FeatureCollection(varietyFeatures), 'variety', 'area_km2')
+          .setChartType('ColumnChart')
+          .setOptions({
+            title: 'Suitable area by variety (2023)',
+            hAxis: {title: 'variety'},
+            vAxis: {title: 'area (km²)'},
+            height: 220,
+            series: {0: {color: '#6A1B9A'}},
+            backgroundColor: {fill: 'white'},
+            legend: {position: 'none'}
+          });
+        chartPanel.add(varietyChart);
     
-    hideLoading();
-  }
+        job.done();
+      }
+    }
+  });
 }
 
 function updateYearlyMap(region, year) {
-  mapPanel.layers().reset();
-
-  if (checkboxRegion.getValue()) {
-    mapPanel.addLayer(region, {
-      color: 'orange',
-      fillColor: '00000000',
-      width: 2
-    }, 'Selected Region');
-  }
+  TaskQueue.submit({
+    name: 'Map for ' + year,
+    key: 'map',
+    message: "Updating map...",
+    run: function(job) {
+      var scoring = getScoringOptions();
+      if (scoring) {
+        var score = applyExclusion(computeScore(region, String(year), getSelectedProfile(), scoring), region);
+        LayerManager.set('suitability', score, getScoreVisParams(), getVarietyLabel() + 'Suitability Score ' + year);
+      } else {
+        var mask = applyExclusion(computeMask(region, String(year), getSelectedProfile()), region);
+        LayerManager.set('suitability', mask.selfMask(), {
+          palette: ['#228B22'],
+          opacity: 0.7
+        }, getVarietyLabel() + 'Suitability ' + year);
+      }
 
-  var mask = computeMask(region, String(year));
-  mapPanel.addLayer(mask.selfMask(), {
-    palette: ['#228B22'],
-    opacity: 0.7
-  }, 'Suitability ' + year);
-
-  if (checkboxVineyards.getValue()) {
-    mapPanel.addLayer(vineyards.filterBounds(region), {
-      color: 'purple',
-      width: 2,
-      fillColor: '800080AA'
-    }, 'Vineyards (2023)');
-  }
+      addFactorLayers(region, year);
+      setBaseLayers(region);
+
+      job.done();
+    }
+  });
 }
 
 function showPersistentSuitability(region, startYear, endYear) {
-  mapPanel.layers().reset();
-
-  if (checkboxRegion.getValue()) {
-    mapPanel.addLayer(region, {
-      color: 'orange',
-      fillColor: '00000000',
-      width: 2
-    }, 'Selected Region');
-  }
+  TaskQueue.submit({
+    name: 'Persistent suitability',
+    key: 'map',
+    message: "Analyzing multi-year data...",
+    run: function(job) {
+      LayerManager.remove('suitability');
+      removeFactorLayers();
+      setBaseLayers(region);
 
-  var totalYears = endYear - startYear + 1;
-  var batchSize = 3; 
-  var maskImages = [];
+      var totalYears = endYear - startYear + 1;
+      var batchSize = 3; 
+      var maskImages = [];
+      var scoring = getScoringOptions();
   
-  processYearBatch(startYear);
+      processYearBatch(startYear);
   
-  function processYearBatch(currentYear) {
-    if (currentYear > endYear) {
-      finalizePersistentMap();
-      return;
-    }
+      function processYearBatch(currentYear) {
+        if (currentYear > endYear) {
+          finalizePersistentMap();
+          return;
+        }
     
-    var endYearBatch = Math.min(currentYear + batchSize - 1, endYear);
-    showLoading("Processing year " + currentYear + " to " + endYearBatch + " (" + 
-               (endYearBatch - startYear + 1) + "/" + totalYears + ")");
+        var endYearBatch = Math.min(currentYear + batchSize - 1, endYear);
+        job.progress("Processing year " + currentYear + " to " + endYearBatch + " (" + 
+                     (endYearBatch - startYear + 1) + "/" + totalYears + ")");
     
-    for (var y = currentYear; y <= endYearBatch; y++) {
-      maskImages.push(computeMask(region, String(y)));
-    }
+        for (var y = currentYear; y <= endYearBatch; y++) {
+          if (scoring) {
+            maskImages.push(applyExclusion(computeScore(region, String(y), getSelectedProfile(), scoring), region));
+          } else {
+            maskImages.push(applyExclusion(computeMask(region, String(y), getSelectedProfile()), region));
+          }
+        }
     
-    ee.Number(1).evaluate(function() {
-      processYearBatch(endYearBatch + 1);
-    });
-  }
+        job.defer(function() {
+          processYearBatch(endYearBatch + 1);
+        });
+      }
   
-  function finalizePersistentMap() {
-    var allYears = ee.ImageCollection(maskImages).reduce(ee.Reducer.allNonZero());
-    mapPanel.addLayer(allYears.selfMask(), {
-      palette: ['#006400'],
-      opacity: 0.8
-    }, 'Persistent ' + startYear + '-' + endYear);
+      function finalizePersistentMap() {
+        if (scoring) {
+          // Lowest score reached in any year of the range
+          var minScore = ee.ImageCollection(maskImages).min();
+          LayerManager.set('suitability', minScore, getScoreVisParams(),
+            getVarietyLabel() + 'Persistent Score ' + startYear + '-' + endYear);
+        } else {
+          var allYears = ee.ImageCollection(maskImages).reduce(ee.Reducer.allNonZero());
+          LayerManager.set('suitability', allYears.selfMask(), {
+            palette: ['#006400'],
+            opacity: 0.8
+          }, getVarietyLabel() + 'Persistent ' + startYear + '-' + endYear);
+        }
+    
+        job.done();
+      }
+    }
+  });
+}
+
+// Projection years shown after the observed 2010-2023 series
+var FUTURE_YEARS = [2025, 2030, 2035, 2040, 2045, 2050, 2055, 2060];
+
+// Projection years that can be mapped
+var PROJECTION_MAP_YEARS = [2030, 2040, 2050, 2060];
+
+function showFutureProjection(region, scenario, mapYear) {
+  // The projection chart replaces the time series chart
+  TaskQueue.cancel('chart');
+  TaskQueue.submit({
+    name: 'Future projection',
+    key: 'map',
+    message: "Projecting suitability...",
+    run: function(job) {
+      chartPanel.clear();
+      removeFactorLayers();
+      setBaseLayers(region);
+
+      var profile = getSelectedProfile();
+      var models = GrapeML.cmip6Models;
+      var scenarioLabel = GrapeML.cmip6Scenarios[scenario];
+
+      // Observed series from an observational climate source, even when a projection is selected
+      var observedSource = GrapeML.getObservedClimateSource();
+      var observedFeatures = [];
+      for (var y = 2010; y <= 2023; y++) {
+        var area = computeArea(applyExclusion(computeMask(region, String(y), profile, observedSource), region), region);
+        observedFeatures.push(ee.Feature(null, {year: y, series: 'observed', area_km2: ee.Number(area).divide(1e6)}));
+      }
+
+      // One projected series per ensemble member, for the ensemble spread
+      var projectedFeatures = [];
+      models.forEach(function(model) {
+        var source = GrapeML.createCMIP6Source(scenario, [model]);
+        FUTURE_YEARS.forEach(function(y) {
+          var area = computeArea(applyExclusion(computeMask(region, String(y), profile, source), region), region);
+          projectedFeatures.push(ee.Feature(null, {year: y, series: model, area_km2: ee.Number(area).divide(1e6)}));
+        });
+      });
+
+      job.progress("Projecting suitability under " + scenarioLabel + "...");
+
+      job.evaluate(ee.FeatureCollection(observedFeatures.concat(projectedFeatures)), function(result) {
+        if (!result) {
+          job.done();
+          return;
+        }
+
+        var observedByYear = {};
+        var projectedByYear = {};
+        result.features.forEach(function(feature) {
+          var props = feature.properties;
+          var area = props.area_km2 || 0;
+          if (props.series === 'observed') {
+            observedByYear[props.year] = area;
+          } else {
+            projectedByYear[props.year] = (projectedByYear[props.year] || []).concat([area]);
+          }
+        });
+
+        var rows = [[
+          {label: 'Year', type: 'number'},
+          {label: 'Observed', type: 'number'},
+          {label: 'Ensemble mean', type: 'number'},
+          {label: 'Ensemble min', type: 'number', role: 'interval'},
+          {label: 'Ensemble max', type: 'number', role: 'interval'}
+        ]];
+
+        Object.keys(observedByYear).forEach(function(year) {
+          rows.push([Number(year), observedByYear[year], null, null, null]);
+        });
 
-    if (checkboxVineyards.getValue()) {
-      mapPanel.addLayer(vineyards.filterBounds(region), {
-        color: 'purple',
-        width: 2,
-        fillColor: '800080AA'
-      }, 'Vineyards (2023)');
+        FUTURE_YEARS.forEach(function(year) {
+          var areas = projectedByYear[year];
+          if (!areas || areas.length === 0) return;
+          var mean = areas.reduce(function(sum, area) { return sum + area; }, 0) / areas.length;
+          rows.push([year, null, mean, Math.min.apply(null, areas), Math.max.apply(null, areas)]);
+        });
+
+        var chart = ui.Chart(rows, 'LineChart', {
+          title: 'Projected suitable area (' + scenarioLabel + ', ' + models.length + ' models)',
+          hAxis: {title: 'year', format: '####'},
+          vAxis: {title: 'area (km²)'},
+          intervals: {style: 'area'},
+          lineWidth: 2,
+          pointSize: 4,
+          height: 240,
+          series: {
+            0: {color: '#228B22'},
+            1: {color: '#D81B60', lineDashStyle: [4, 4]}
+          },
+          backgroundColor: {fill: 'white'},
+          legend: {position: 'bottom'}
+        });
+        chartPanel.add(chart);
+
+        job.done();
+      });
+
+      // Ensemble-mean projected suitability for the selected year
+      var ensembleSource = GrapeML.createCMIP6Source(scenario, models);
+      var projectedMask = applyExclusion(computeMask(region, String(mapYear), profile, ensembleSource), region);
+      LayerManager.set('suitability', projectedMask.selfMask(), {
+        palette: ['#D81B60'],
+        opacity: 0.7
+      }, getVarietyLabel() + 'Projected Suitability ' + mapYear + ' (' + scenarioLabel + ')');
     }
-    
-    hideLoading();
-  }
+  });
 }
 
 function showCountyTable() {
@@ -2140,68 +6994,63 @@ function showCountyTable() {
     style: {width: '380px', height: '400px', padding: '8px'}
   });
   
-  if (backgroundLoadingInProgress) {
+  if (TaskQueue.isBusy('background')) {
     showBackgroundLoading("datasets downloading...");
   }
   
-  showLoading("Loading area list...");
-  
-  ee.Number(1).evaluate(function() {
-    var row = ui.Panel({
-      layout: ui.Panel.Layout.flow('horizontal'), 
-      style: {width: '380px'}
-    });
-    var count = 0;
+  var row = ui.Panel({
+    layout: ui.Panel.Layout.flow('horizontal'), 
+    style: {width: '380px'}
+  });
+  var count = 0;
 
-    suitableNames.forEach(function(name) {
-      var label = ui.Button({
-        label: name,
-        onClick: function() {
-          currentCountyName = name;
-          rebuildMainPanel();
-        }
-      });
-      label.style().set('width', '120px');
-      row.add(label);
-      count++;
-      if (count % 3 === 0) {
-        grid.add(row);
-        row = ui.Panel({
-          layout: ui.Panel.Layout.flow('horizontal'), 
-          style: {width: '380px'}
-        });
+  AppState.state.suitableNames.forEach(function(name) {
+    var label = ui.Button({
+      label: name,
+      onClick: function() {
+        AppState.selectCounty(name);
       }
     });
-
-    if (count % 3 !== 0) {
+    label.style().set('width', '120px');
+    row.add(label);
+    count++;
+    if (count % 3 === 0) {
       grid.add(row);
-    }
-
-    if (unsuitableNames.length > 0) {
-      grid.add(ui.Label(' '));
-      var unsuitBtn = ui.Button({
-        label: 'no suitable area',
-        onClick: function() {
-          currentCountyName = 'Unsuitable for 3 Years';
-          rebuildMainPanel();
-        }
+      row = ui.Panel({
+        layout: ui.Panel.Layout.flow('horizontal'), 
+        style: {width: '380px'}
       });
-      unsuitBtn.style().set('width', '380px');
-      grid.add(unsuitBtn);
     }
+  });
+
+  if (count % 3 !== 0) {
+    grid.add(row);
+  }
 
-    var closeButton = ui.Button({
-      label: 'go back',
-      onClick: rebuildMainPanel
+  if (AppState.state.unsuitableNames.length > 0) {
+    grid.add(ui.Label(' '));
+    var unsuitBtn = ui.Button({
+      label: 'no suitable area',
+      onClick: function() {
+        AppState.selectCounty('Unsuitable for 3 Years');
+      }
     });
-    grid.add(closeButton);
+    unsuitBtn.style().set('width', '380px');
+    grid.add(unsuitBtn);
+  }
 
-    controlPanel.add(grid);
-    hideLoading();
+  var closeButton = ui.Button({
+    label: 'go back',
+    onClick: function() {
+      AppState.setView('main');
+    }
   });
+  grid.add(closeButton);
+
+  controlPanel.add(grid);
 }
 
 // =========== Part 5: Start Application ===========
 
-// Start main page
-createHomePage();
\ No newline at end of file
+// Start main page, or the page of a shared link
+openLinkedPage(readUrlState());
\ No newline at end of file